@@ -0,0 +1,67 @@
+import { configure, reduce, map, map_typed, filter, filter_typed } from '../lib/arrays';
+
+const samples = new Float64Array(1000000).map((_, index) => Math.sin(index));
+const runs = 20;
+
+// The implementation before typed arrays could be iterated in place, which copied every
+// target into an array before visiting it, kept as the reference to compare against
+const baseline_reduce = (initial_value, reducer, target) => {
+  const items = Array.prototype.slice.call(target, 0);
+  let accumulator = initial_value;
+
+  for (let index = 0; index < items.length; index++)
+    accumulator = reducer(accumulator, items[index], index, items);
+  return accumulator;
+};
+
+const baseline = {
+  reduce: baseline_reduce,
+  map: (mapper, target) =>
+    baseline_reduce(
+      [],
+      (acc, ...args) => {
+        acc.push(mapper(...args));
+        return acc;
+      },
+      target
+    ),
+  filter: (constraint, target) =>
+    baseline_reduce(
+      [],
+      (acc, val, ...args) => {
+        if (constraint(val, ...args)) acc.push(val);
+        return acc;
+      },
+      target
+    )
+};
+
+const time = (name, fn) => {
+  fn();
+  const start = process.hrtime();
+  for (let run = 0; run < runs; run++) fn();
+  const [seconds, nanoseconds] = process.hrtime(start);
+  const milliseconds = (seconds * 1e3 + nanoseconds / 1e6) / runs;
+
+  console.log(`${name.padEnd(40)} ${milliseconds.toFixed(2)} ms`);
+};
+
+const compare = (name, fn, baseline_fn, ...args) => {
+  time(`${name} (baseline)`, () => baseline_fn(...args, samples));
+  configure({ snapshot: true });
+  time(`${name} (snapshot)`, () => fn(...args, samples));
+  configure({ snapshot: false });
+  time(`${name} (in place)`, () => fn(...args, samples));
+};
+
+const add = (total, value) => total + value;
+const double = value => value * 2;
+const is_positive = value => value > 0;
+
+console.log(`${samples.length} Float64Array samples, mean of ${runs} runs\n`);
+
+compare('reduce', reduce, baseline.reduce, 0, add);
+compare('map', map, baseline.map, double);
+compare('map_typed', map_typed, baseline.map, double);
+compare('filter', filter, baseline.filter, is_positive);
+compare('filter_typed', filter_typed, baseline.filter, is_positive);
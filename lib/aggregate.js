@@ -0,0 +1,279 @@
+import { filter, map, reduce } from './arrays';
+import { is_missing_number, empty_sum, add_to_sum, sum_total } from './numeric';
+import { callable, checked, collection, plain_object, validated } from './validate';
+
+/**
+ * An aggregator incrementally folds the items of a group into a single value, so that any
+ * number of aggregates can be calculated in a single pass over an array.
+ * @typedef {Object} aggregate~Aggregator
+ * @property {Function} init - Returns the initial state for a group
+ * @property {Function} step - Invoked with the state, the item, its index and the array, returns
+ * the new state
+ * @property {Function} result - Produces the value of the aggregate from the final state
+ */
+
+const aggregator = (init, step, result = state => state) => ({ init, step, result });
+
+const is_aggregator = value =>
+  value != null &&
+  typeof value.init === 'function' &&
+  typeof value.step === 'function' &&
+  typeof value.result === 'function';
+
+const aggregate_params = { spec: plain_object, target: collection };
+
+const pivot_params = {
+  row_key: callable,
+  column_key: callable,
+  value_aggregator: { expected: 'an aggregator', accepts: is_aggregator },
+  target: collection
+};
+
+const of_values = (mapper, init, step, result) =>
+  aggregator(
+    init,
+    (state, item, ...args) => {
+      const value = mapper(item, ...args);
+      return is_missing_number(value) ? state : step(state, value);
+    },
+    result
+  );
+
+/**
+ * Aggregator that counts the items
+ *
+ * @example <caption>Count the orders in each region</caption>
+ * let result = aggregate({ by: ({region}) => region, orders: aggregators.count }, orders);
+ *
+ */
+const count = aggregator(
+  () => 0,
+  total => total + 1
+);
+
+/**
+ * Create an aggregator that adds up the values produced by the mapper, using compensated
+ * summation. Values that are null, undefined or NaN are left out. The sum of no values is 0.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value to add up
+ * @returns {aggregate~Aggregator}
+ *
+ * @example <caption>Get the total amount</caption>
+ * let result = aggregate({ total: aggregators.sum(({amount}) => amount) }, orders);
+ *
+ */
+const sum = validated('sum', { mapper: callable }, mapper =>
+  of_values(mapper, empty_sum, add_to_sum, sum_total)
+);
+
+/**
+ * Create an aggregator that averages the values produced by the mapper. Values that are null,
+ * undefined or NaN are left out. The mean of no values is undefined.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value to average
+ * @returns {aggregate~Aggregator}
+ *
+ * @example <caption>Get the average amount</caption>
+ * let result = aggregate({ average: aggregators.mean(({amount}) => amount) }, orders);
+ *
+ */
+const mean = validated('mean', { mapper: callable }, mapper =>
+  of_values(
+    mapper,
+    () => ({ sum: empty_sum(), count: 0 }),
+    (state, value) => ({ sum: add_to_sum(state.sum, value), count: state.count + 1 }),
+    state => (state.count === 0 ? undefined : sum_total(state.sum) / state.count)
+  )
+);
+
+const extreme = (name, is_better) =>
+  validated(name, { mapper: callable }, mapper =>
+    of_values(
+      mapper,
+      () => undefined,
+      (best, value) => (best === undefined || is_better(value, best) ? value : best)
+    )
+  );
+
+/**
+ * Create an aggregator that keeps the largest value produced by the mapper. Values that are
+ * null, undefined or NaN are left out. The max of no values is undefined.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value to compare
+ * @returns {aggregate~Aggregator}
+ *
+ * @example <caption>Get the largest amount</caption>
+ * let result = aggregate({ largest: aggregators.max(({amount}) => amount) }, orders);
+ *
+ */
+const max = extreme('max', (value, best) => value > best);
+
+/**
+ * Create an aggregator that keeps the smallest value produced by the mapper. Values that are
+ * null, undefined or NaN are left out. The min of no values is undefined.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value to compare
+ * @returns {aggregate~Aggregator}
+ *
+ * @example <caption>Get the smallest amount</caption>
+ * let result = aggregate({ smallest: aggregators.min(({amount}) => amount) }, orders);
+ *
+ */
+const min = extreme('min', (value, best) => value < best);
+
+/**
+ * Create an aggregator from a reducer. The initial value is created for each group by calling
+ * init, so the reducer is free to modify it.
+ *
+ * @param {Function} init - Returns the initial result of the accumulator for a group
+ * @param {reduce~Reducer} reducer - Function to invoke against each item in the group
+ * @returns {aggregate~Aggregator}
+ *
+ * @example <caption>Collect the ids of the orders</caption>
+ * let collect_ids = aggregators.fold(() => [], (ids, {id}) => ids.concat([id]));
+ * let result = aggregate({ ids: collect_ids }, orders);
+ *
+ * @example <caption>Collect the ids of the orders into a Set</caption>
+ * let unique_ids = aggregators.fold(() => new Set(), (ids, {id}) => ids.add(id));
+ * let result = aggregate({ ids: unique_ids }, orders);
+ *
+ */
+const fold = validated('fold', { init: callable, reducer: callable }, (init, reducer) =>
+  aggregator(init, reducer)
+);
+
+/**
+ * The aggregators that can be used with {@link aggregate} and {@link pivot}. They are only
+ * available through this namespace, as their names are taken by the functions of the same name
+ * that work on whole arrays.
+ */
+export const aggregators = { count, sum, mean, max, min, fold };
+
+const fields_of = spec => {
+  const fields = filter(([name]) => name !== 'by', Object.entries(spec));
+
+  fields.forEach(([name, field]) => {
+    if (!is_aggregator(field)) throw new Error(`aggregate field is not an aggregator: ${name}`);
+  });
+  return fields;
+};
+
+const start = fields => map(([, field]) => field.init(), fields);
+
+const step_all = (fields, states, args) => {
+  for (let position = 0; position < fields.length; position++)
+    states[position] = fields[position][1].step(states[position], ...args);
+  return states;
+};
+
+const results_of = (fields, states) =>
+  reduce(
+    {},
+    (results, [name, field], position) => {
+      results[name] = field.result(states[position]);
+      return results;
+    },
+    fields
+  );
+
+/**
+ * Calculate aggregates over all of the items in a single pass. When the spec has a `by` mapper,
+ * the items are grouped by the key it produces and the result is a Map from each key (in the
+ * order each key was first seen) to the aggregates of that group. Without a `by` mapper, the
+ * result is the aggregates of all items. Every other property of the spec is an
+ * {@link aggregate~Aggregator}, and its result is placed under the same name.
+ *
+ * @param {Object} spec - The optional `by` mapper and the aggregators to calculate
+ * @param {Array|Iterable} target - Array containing items to be aggregated
+ *
+ * @example <caption>Get the total and number of orders in each region</caption>
+ * let by_region = ({region}) => region;
+ * let total = aggregators.sum(({amount}) => amount);
+ * let result = aggregate({ by: by_region, total, n: aggregators.count }, orders);
+ * console.log(result) // Map { 'east' => { total: 30, n: 2 }, 'west' => { total: 5, n: 1 } }
+ *
+ */
+export const aggregate = checked('aggregate', aggregate_params, (spec, target) => {
+  const fields = fields_of(spec);
+
+  if (spec.by === undefined)
+    return results_of(
+      fields,
+      reduce(start(fields), (states, ...args) => step_all(fields, states, args), target)
+    );
+
+  const groups = reduce(
+    new Map(),
+    (states_by_key, ...args) => {
+      const key = spec.by(...args);
+
+      if (!states_by_key.has(key)) states_by_key.set(key, start(fields));
+      step_all(fields, states_by_key.get(key), args);
+      return states_by_key;
+    },
+    target
+  );
+
+  return new Map(map(([key, states]) => [key, results_of(fields, states)], groups));
+});
+
+/**
+ * A table of aggregates produced by {@link pivot}
+ * @typedef {Object} pivot~Table
+ * @property {Array} rows - Row keys, in the order each was first seen
+ * @property {Array} columns - Column keys, in the order each was first seen
+ * @property {Array} values - An array for each row, holding the aggregate for each column
+ */
+
+/**
+ * Build a table of aggregates in a single pass, with a row for each key produced by the row
+ * mapper and a column for each key produced by the column mapper. A cell without any items holds
+ * the result of the aggregator for no items (0 for `aggregators.count` and `aggregators.sum`).
+ *
+ * @param {map~Mapper} row_key - Mapper used to produce the row key of each item
+ * @param {map~Mapper} column_key - Mapper used to produce the column key of each item
+ * @param {aggregate~Aggregator} value_aggregator - Aggregator used to calculate each cell
+ * @param {Array|Iterable} target - Array containing items to be aggregated
+ * @returns {pivot~Table} - The table of aggregates
+ *
+ * @example <caption>Get the sales for each region by month</caption>
+ * let total = aggregators.sum(({amount}) => amount);
+ * let result = pivot(({region}) => region, ({month}) => month, total, sales);
+ * console.log(result) // { rows: ['east', 'west'], columns: ['jan', 'feb'], values: [[10, 20], [5, 0]] }
+ *
+ */
+export const pivot = checked('pivot', pivot_params, (row_key, column_key, value_aggregator, target) => {
+  const columns = new Set();
+  const rows = reduce(
+    new Map(),
+    (cells_by_row, ...args) => {
+      const row = row_key(...args);
+      const column = column_key(...args);
+
+      if (!cells_by_row.has(row)) cells_by_row.set(row, new Map());
+      columns.add(column);
+
+      const cells = cells_by_row.get(row);
+      const state = cells.has(column) ? cells.get(column) : value_aggregator.init();
+      cells.set(column, value_aggregator.step(state, ...args));
+      return cells_by_row;
+    },
+    target
+  );
+
+  const column_keys = [...columns];
+  const value_of = (cells, column) =>
+    value_aggregator.result(cells.has(column) ? cells.get(column) : value_aggregator.init());
+
+  return {
+    rows: [...rows.keys()],
+    columns: column_keys,
+    values: map(cells => map(column => value_of(cells, column), column_keys), rows.values())
+  };
+});
+
+export default {
+  aggregate,
+  pivot,
+  aggregators
+};
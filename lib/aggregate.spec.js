@@ -0,0 +1,207 @@
+import sut from './aggregate';
+import * as package_root from './index';
+import { configure } from './config';
+
+describe('aggregating', function() {
+  const { count, sum, mean, max, min, fold } = sut.aggregators;
+  let orders;
+
+  beforeEach(function() {
+    orders = [
+      { id: 1, region: 'east', month: 'jan', amount: 10 },
+      { id: 2, region: 'west', month: 'jan', amount: 5 },
+      { id: 3, region: 'east', month: 'feb', amount: 20 },
+      { id: 4, region: 'east', month: 'feb', amount: null }
+    ];
+  });
+
+  describe('grouping and aggregating', function() {
+    let times_called;
+    let result;
+
+    beforeEach(function() {
+      times_called = 0;
+      result = sut.aggregate(
+        {
+          by: ({ region }) => {
+            times_called++;
+            return region;
+          },
+          total: sum(({ amount }) => amount),
+          n: count,
+          average: mean(({ amount }) => amount),
+          largest: max(({ amount }) => amount),
+          smallest: min(({ amount }) => amount)
+        },
+        orders
+      );
+    });
+
+    it('calculates the aggregates for each group, in the order each group was first seen', function() {
+      expect([...result]).toEqual([
+        ['east', { total: 30, n: 3, average: 15, largest: 20, smallest: 10 }],
+        ['west', { total: 5, n: 1, average: 5, largest: 5, smallest: 5 }]
+      ]);
+    });
+
+    it('visits each item once', function() {
+      expect(times_called).toEqual(orders.length);
+    });
+  });
+
+  it('aggregates all of the items when there is no by mapper', function() {
+    expect(sut.aggregate({ total: sum(({ amount }) => amount), n: count }, orders)).toEqual({
+      total: 35,
+      n: 4
+    });
+  });
+
+  it('uses the result of each aggregator for no items when there are no items', function() {
+    const result = sut.aggregate(
+      { total: sum(({ amount }) => amount), n: count, average: mean(value => value) },
+      []
+    );
+    expect(result).toEqual({ total: 0, n: 0, average: undefined });
+  });
+
+  it('provides the index to the aggregators', function() {
+    const result = sut.aggregate(
+      {
+        indexes: fold(
+          () => [],
+          (indexes, item, index) => indexes.concat([index])
+        )
+      },
+      orders
+    );
+    expect(result).toEqual({ indexes: [0, 1, 2, 3] });
+  });
+
+  it('keeps the state of each group separate', function() {
+    const result = sut.aggregate(
+      {
+        by: ({ region }) => region,
+        ids: fold(
+          () => [],
+          (ids, { id }) => ids.concat([id])
+        )
+      },
+      orders
+    );
+    expect(result.get('east')).toEqual({ ids: [1, 3, 4] });
+    expect(result.get('west')).toEqual({ ids: [2] });
+  });
+
+  it('creates the initial value of a fold for each group', function() {
+    const result = sut.aggregate(
+      {
+        by: ({ region }) => region,
+        ids: fold(
+          () => [],
+          (ids, { id }) => {
+            ids.push(id);
+            return ids;
+          }
+        )
+      },
+      orders
+    );
+    expect(result.get('east')).toEqual({ ids: [1, 3, 4] });
+    expect(result.get('west')).toEqual({ ids: [2] });
+  });
+
+  it('throws when a field is not an aggregator', function() {
+    expect(() => sut.aggregate({ total: ({ amount }) => amount }, orders)).toThrow(
+      /aggregate field is not an aggregator: total/
+    );
+  });
+
+  describe('when the strict setting is turned on', function() {
+    beforeEach(function() {
+      configure({ strict: true });
+    });
+
+    afterEach(function() {
+      configure({ strict: false });
+    });
+
+    it('throws a type error when the spec is not a plain object', function() {
+      expect(() => sut.aggregate(orders, orders)).toThrow(TypeError);
+      expect(() => sut.aggregate(orders, orders)).toThrow(
+        'aggregate expects spec to be a plain object, received an array'
+      );
+      expect(() => sut.aggregate(new Map(), orders)).toThrow('expects spec to be a plain object');
+    });
+
+    it('accepts a spec without a prototype', function() {
+      const spec = Object.assign(Object.create(null), { n: count });
+      expect(sut.aggregate(spec, orders)).toEqual({ n: 4 });
+    });
+  });
+
+  it('is used through the aggregators namespace of the package', function() {
+    const { aggregate, aggregators } = package_root;
+    const result = aggregate(
+      {
+        total: aggregators.sum(({ amount }) => amount),
+        largest: aggregators.max(({ amount }) => amount),
+        smallest: aggregators.min(({ amount }) => amount),
+        average: aggregators.mean(({ amount }) => amount),
+        n: aggregators.count
+      },
+      orders
+    );
+    expect(result).toEqual({ total: 35, largest: 20, smallest: 5, average: 35 / 3, n: 4 });
+  });
+
+  describe('pivoting', function() {
+    let result;
+
+    beforeEach(function() {
+      result = sut.pivot(
+        ({ region }) => region,
+        ({ month }) => month,
+        sum(({ amount }) => amount),
+        orders
+      );
+    });
+
+    it('has a row and column for each key, in the order each was first seen', function() {
+      expect(result.rows).toEqual(['east', 'west']);
+      expect(result.columns).toEqual(['jan', 'feb']);
+    });
+
+    it('aggregates the items of each cell', function() {
+      expect(result.values).toEqual([
+        [10, 20],
+        [5, 0]
+      ]);
+    });
+
+    it('can be partially applied', function() {
+      const by_region_and_month = sut.pivot(
+        ({ region }) => region,
+        ({ month }) => month
+      );
+      expect(by_region_and_month(count, orders).values).toEqual([
+        [1, 2],
+        [1, 0]
+      ]);
+    });
+
+    it('is empty when there are no items', function() {
+      expect(
+        sut.pivot(
+          ({ region }) => region,
+          ({ month }) => month,
+          count,
+          []
+        )
+      ).toEqual({
+        rows: [],
+        columns: [],
+        values: []
+      });
+    });
+  });
+});
@@ -301,10 +301,61 @@ describe('array utils', function() {
     });
   });
 
+  describe('flattening to a depth', function() {
+    const nested = [1, [2, [3, [4]]]];
+
+    it('only flattens the given number of levels', function() {
+      expect(sut.flatten_depth(1, nested)).toEqual([1, 2, [3, [4]]]);
+      expect(sut.flatten_depth(2, nested)).toEqual([1, 2, 3, [4]]);
+    });
+
+    it('returns a copy of the items for a depth of 0', function() {
+      const result = sut.flatten_depth(0, nested);
+      expect(result).toEqual(nested);
+      expect(result).not.toBe(nested);
+    });
+
+    it('flattens nested iterables other than strings', function() {
+      expect(sut.flatten([new Set([1, 2]), ['ab', [new Set(['c'])]]])).toEqual([1, 2, 'ab', 'c']);
+    });
+
+    it('flattens deeply nested arrays without overflowing the stack', function() {
+      let deeply_nested = [1];
+      for (let level = 0; level < 100000; level++) deeply_nested = [deeply_nested];
+
+      expect(sut.flatten(deeply_nested)).toEqual([1]);
+    });
+  });
+
+  describe('flat mapping with the index and array', function() {
+    it('provides the index and the array to the mapper', function() {
+      const numbers = [10, 20];
+      const calls = [];
+      const result = sut.flat_map((value, index, array) => {
+        calls.push([index, array]);
+        return [value, index];
+      }, numbers);
+
+      expect(result).toEqual([10, 0, 20, 1]);
+      expect(calls).toEqual([
+        [0, numbers],
+        [1, numbers]
+      ]);
+    });
+
+    it('keeps results that are not arrays as is', function() {
+      expect(sut.flat_map(value => (value > 1 ? [value, value] : value), [1, 2])).toEqual([1, 2, 2]);
+    });
+
+    it('only flattens a single level', function() {
+      expect(sut.flat_map(value => [[value]], [1, 2])).toEqual([[1], [2]]);
+    });
+  });
+
   describe('first', function() {
     describe('and no target or condition is provided', function() {
-      it('returns null', () => {
-        expect(sut.first()).toEqual(null);
+      it('returns undefined', () => {
+        expect(sut.first()).toBeUndefined();
       });
     });
     describe('and there is only 1 item matching the condition in the array', function() {
@@ -344,8 +395,8 @@ describe('array utils', function() {
         result = sut.first(numbers);
       });
 
-      it('returns null', function() {
-        expect(result).toBeNull();
+      it('returns undefined', function() {
+        expect(result).toBeUndefined();
       });
     });
 
@@ -394,12 +445,58 @@ describe('array utils', function() {
         expect(times_called).toEqual(4);
       });
 
-      it('returns null', function() {
-        expect(result).toBeNull();
+      it('returns undefined', function() {
+        expect(result).toBeUndefined();
       });
     });
   });
 
+  describe('finding items that may be falsy', function() {
+    it('returns falsy items that match', function() {
+      expect(sut.first([0, 1])).toEqual(0);
+      expect(sut.first(value => value === '', ['a', ''])).toEqual('');
+      expect(sut.last([1, false])).toEqual(false);
+      expect(sut.last(value => value === null, [null, 1])).toBeNull();
+    });
+
+    it('tells whether an item was found', function() {
+      expect(sut.try_first(value => value === 0, [1, 0])).toEqual({ found: true, value: 0 });
+      expect(sut.try_first(value => value > 1, [1, 0])).toEqual({ found: false, value: undefined });
+      expect(sut.try_first([undefined])).toEqual({ found: true, value: undefined });
+      expect(sut.try_last([])).toEqual({ found: false, value: undefined });
+      expect(sut.try_last(value => value < 2, [1, 2, 0])).toEqual({ found: true, value: 0 });
+    });
+
+    it('can be given the condition first and the target later', function() {
+      const find_zero = sut.try_first(value => value === 0);
+      expect(find_zero([0])).toEqual({ found: true, value: 0 });
+    });
+
+    it('returns the default value when nothing matched', function() {
+      expect(sut.first_or(-1, value => value > 10, [1, 2])).toEqual(-1);
+      expect(sut.first_or(-1, [])).toEqual(-1);
+      expect(sut.last_or('none', [])).toEqual('none');
+    });
+
+    it('returns the matching item rather than the default value', function() {
+      expect(sut.first_or(-1, [0])).toEqual(0);
+      expect(sut.last_or(-1, value => value < 2, [null, 1, 3])).toEqual(1);
+    });
+
+    it('can be given the default and condition first and the target later', function() {
+      const first_even = sut.first_or(null, value => value % 2 === 0);
+      expect(first_even([1, 3])).toBeNull();
+      expect(first_even([1, 4])).toEqual(4);
+    });
+
+    it('waits for a target when only given the default', function() {
+      expect(sut.first_or(0)(items)).toEqual(1);
+      expect(sut.first_or(0)([])).toEqual(0);
+      expect(sut.last_or('none')(value => value < 3)(items)).toEqual(2);
+      expect(sut.last_or('none')(value => value > 10)(items)).toEqual('none');
+    });
+  });
+
   describe('last', function() {
     describe('and there is only 1 item matching the condition in the array', function() {
       let times_called;
@@ -437,8 +534,8 @@ describe('array utils', function() {
         result = sut.last(numbers);
       });
 
-      it('returns null', function() {
-        expect(result).toBeNull();
+      it('returns undefined', function() {
+        expect(result).toBeUndefined();
       });
     });
 
@@ -487,8 +584,8 @@ describe('array utils', function() {
         expect(times_called).toEqual(4);
       });
 
-      it('returns null', function() {
-        expect(result).toBeNull();
+      it('returns undefined', function() {
+        expect(result).toBeUndefined();
       });
     });
   });
@@ -525,6 +622,30 @@ describe('array utils', function() {
         expect(result).toBeFalsy();
       });
     });
+
+    describe('and an item early in the array does not match the condition', function() {
+      let times_called;
+
+      beforeEach(function() {
+        items = [1, 0, 3, 4];
+        times_called = 0;
+      });
+
+      beforeEach(function() {
+        result = sut.all(function(value) {
+          times_called++;
+          return value > 0;
+        }, items);
+      });
+
+      it('returns false', function() {
+        expect(result).toBeFalsy();
+      });
+
+      it('does not iterate through the items after the mismatch', function() {
+        expect(times_called).toEqual(2);
+      });
+    });
   });
 
   describe('checking if any items match the condition', function() {
@@ -547,6 +668,30 @@ describe('array utils', function() {
       });
     });
 
+    describe('and the matching item is falsy', function() {
+      let times_called;
+
+      beforeEach(function() {
+        items = [1, 0, 3, 4];
+        times_called = 0;
+      });
+
+      beforeEach(function() {
+        result = sut.any(function(value) {
+          times_called++;
+          return value === 0;
+        }, items);
+      });
+
+      it('returns true', function() {
+        expect(result).toBeTruthy();
+      });
+
+      it('does not iterate through the items after the match', function() {
+        expect(times_called).toEqual(2);
+      });
+    });
+
     describe('and none of the items match the condition', function() {
       beforeEach(function() {
         items = [1, 0, 3, 4];
@@ -666,6 +811,31 @@ describe('array utils', function() {
       });
     });
 
+    describe('with a reducer that terminates the fold early', function() {
+      let values_visited;
+
+      beforeEach(function() {
+        values_visited = 0;
+        result = sut.reduce(
+          0,
+          function(accumulator, current_value) {
+            values_visited += 1;
+            const total = accumulator + current_value;
+            return total >= 3 ? sut.reduced(total) : total;
+          },
+          original
+        );
+      });
+
+      it('does not process the remaining values', function() {
+        expect(values_visited).toEqual(2);
+      });
+
+      it('returns the unwrapped value', function() {
+        expect(result).toEqual(3);
+      });
+    });
+
     describe('correctly reduces array of arrays', function() {
       let values;
       let result;
@@ -783,6 +953,77 @@ describe('array utils', function() {
     });
   });
 
+  describe('sorting by a list of keys', function() {
+    let people;
+    let result;
+
+    const names = items => items.map(({ name }) => name);
+
+    beforeEach(function() {
+      people = [
+        { name: 'a', last: 'Smith', age: 30 },
+        { name: 'b', last: 'Jones', age: 40 },
+        { name: 'c', last: 'Smith', age: 50 },
+        { name: 'd', last: null, age: 20 },
+        { name: 'e', last: 'Jones', age: 40 }
+      ];
+    });
+
+    describe('with ascending and descending keys', function() {
+      beforeEach(function() {
+        const comparers = [sut.ascending(({ last }) => last), sut.descending(({ age }) => age)];
+        result = sut.sort_by(comparers, people);
+      });
+
+      it('sorts by each key in turn', function() {
+        expect(names(result)).toEqual(['b', 'e', 'c', 'a', 'd']);
+      });
+
+      it('does not modify the original array', function() {
+        expect(names(people)).toEqual(['a', 'b', 'c', 'd', 'e']);
+      });
+    });
+
+    describe('with missing keys', function() {
+      it('places them last by default, regardless of direction', function() {
+        expect(names(sut.sort_by([sut.descending(({ last }) => last)], people))[4]).toEqual('d');
+      });
+
+      it('places them first when asked to', function() {
+        const comparer = sut.ascending(({ last }) => last, { nulls: 'first' });
+        expect(names(sut.sort_by([comparer], people))[0]).toEqual('d');
+      });
+    });
+
+    describe('with items that compare as equal', function() {
+      it('keeps their original order', function() {
+        const records = sut.generate(50, index => ({ index, group: index % 2 }));
+        result = sut.sort_by([sut.ascending(({ group }) => group)], records);
+        const evens = sut.generate(25, index => index * 2);
+        const odds = sut.generate(25, index => index * 2 + 1);
+        expect(result.map(({ index }) => index)).toEqual(evens.concat(odds));
+      });
+    });
+
+    describe('with a collator', function() {
+      it('compares strings using the rules of the locale', function() {
+        const words = ['zebra', 'Äpfel', 'apple'];
+        const comparer = sut.ascending(word => word, {
+          comparer: sut.collate('de', { sensitivity: 'base' })
+        });
+        expect(sut.sort(words)).toEqual(['apple', 'zebra', 'Äpfel']);
+        expect(sut.sort(comparer, words)).toEqual(['Äpfel', 'apple', 'zebra']);
+      });
+    });
+
+    describe('when partially applied', function() {
+      it('sorts the target it is given', function() {
+        const by_age = sut.sort_by([sut.ascending(({ age }) => age)]);
+        expect(names(by_age(people))).toEqual(['d', 'a', 'b', 'e', 'c']);
+      });
+    });
+  });
+
   describe('getting the max value in an array', function() {
     let items;
     let result;
@@ -865,6 +1106,146 @@ describe('array utils', function() {
     });
   });
 
+  describe('getting the extremes of an array', function() {
+    let people;
+
+    beforeEach(function() {
+      people = [
+        { name: 'Person 1', age: 10 },
+        { name: 'Person 2', age: 12 },
+        { name: 'Person 3', age: 9 },
+        { name: 'Person 4', age: 12 },
+        { name: 'Person 5', age: 9 }
+      ];
+    });
+
+    describe('when all the values are negative', function() {
+      it('returns the max value', function() {
+        expect(sut.max(value => value, [-5, -2, -9])).toEqual(-2);
+      });
+
+      it('returns the min value', function() {
+        expect(sut.min(value => value, [-5, -2, -9])).toEqual(-9);
+      });
+    });
+
+    describe('when the array is empty', function() {
+      it('returns undefined', function() {
+        expect(sut.max(value => value, [])).toBeUndefined();
+        expect(sut.min(value => value, [])).toBeUndefined();
+        expect(sut.max_by(value => value, [])).toBeUndefined();
+        expect(sut.min_with((a, b) => a - b, [])).toBeUndefined();
+        expect(sut.min_max(value => value, [])).toEqual([undefined, undefined]);
+      });
+
+      it('returns the default value when one is provided', function() {
+        expect(sut.max_or(-1, value => value, [])).toEqual(-1);
+        expect(sut.min_or(-1, value => value)([])).toEqual(-1);
+      });
+
+      it('waits for the mapper and the target when only given the default', function() {
+        expect(sut.max_or(0)(value => value)([])).toEqual(0);
+        expect(sut.min_or(0)(value => value, [3, 2])).toEqual(2);
+      });
+
+      it('accepts the default between the mapper and the target when all three are given', function() {
+        expect(sut.max(value => value, 0, [5, 7])).toEqual(7);
+        expect(sut.min(value => value, 0, [5, 7])).toEqual(5);
+        expect(sut.min(value => value, -1, [])).toEqual(-1);
+        expect(sut.max(value => value)([5, 7])).toEqual(7);
+      });
+    });
+
+    describe('when some of the values are NaN', function() {
+      it('skips them wherever they are', function() {
+        expect(sut.max(value => value, [NaN, 1, 3])).toEqual(3);
+        expect(sut.max(value => value, [1, NaN, 3])).toEqual(3);
+        expect(sut.min(value => value, [NaN, 2, 1])).toEqual(1);
+        expect(sut.max_by(({ age }) => age, [{ age: NaN }, { age: 4 }])).toEqual({ age: 4 });
+        expect(sut.min_with((a, b) => a - b, [NaN, 2, 1])).toEqual(1);
+        expect(sut.min_max(value => value, [NaN, 2, NaN, 1])).toEqual([1, 2]);
+      });
+
+      it('treats an array of only NaN as empty', function() {
+        expect(sut.max(value => value, [NaN])).toBeUndefined();
+        expect(sut.min_or(0, value => value, [NaN, NaN])).toEqual(0);
+      });
+    });
+
+    describe('when some of the values are missing', function() {
+      it('leaves out a missing key, even on the first item', function() {
+        expect(sut.max(({ age }) => age, [{}, { age: 3 }])).toEqual(3);
+        expect(sut.min_by(({ age }) => age, [{}, { age: 3 }, { age: 1 }])).toEqual({ age: 1 });
+        expect(sut.min_max(({ age }) => age, [{}, { age: 3 }, { age: 1 }])).toEqual([1, 3]);
+      });
+
+      it('leaves out null among negative numbers', function() {
+        expect(sut.max(value => value, [null, -5, -2])).toEqual(-2);
+        expect(sut.min(value => value, [-5, undefined, -2])).toEqual(-5);
+        expect(sut.max_by(value => value, [-5, null, -2])).toEqual(-2);
+        expect(sut.min_max(value => value, [null, -5, -2, null])).toEqual([-5, -2]);
+      });
+    });
+
+    describe('when the values are not numbers', function() {
+      it('compares dates', function() {
+        const dates = [new Date(2020, 1, 1), new Date(2021, 1, 1), new Date(2019, 1, 1)];
+        expect(sut.max(value => value, dates)).toBe(dates[1]);
+      });
+
+      it('compares strings', function() {
+        expect(sut.min(value => value, ['b', 'c', 'a'])).toEqual('a');
+      });
+    });
+
+    describe('getting the item that produces the extreme value', function() {
+      it('returns the first item with the max value', function() {
+        expect(sut.max_by(({ age }) => age, people).name).toEqual('Person 2');
+      });
+
+      it('returns the first item with the min value', function() {
+        expect(sut.min_by(({ age }) => age, people).name).toEqual('Person 3');
+      });
+    });
+
+    describe('getting the extreme item using a comparer', function() {
+      let by_age;
+
+      beforeEach(function() {
+        by_age = (a, b) => a.age - b.age;
+      });
+
+      it('returns the greatest item', function() {
+        expect(sut.max_with(by_age, people).name).toEqual('Person 2');
+      });
+
+      it('returns the smallest item', function() {
+        expect(sut.min_with(by_age, people).name).toEqual('Person 3');
+      });
+    });
+
+    describe('getting the min and max together', function() {
+      let times_called;
+      let result;
+
+      beforeEach(function() {
+        times_called = 0;
+        result = sut.min_max(({ age }) => {
+          times_called++;
+          return age;
+        }, people);
+      });
+
+      it('returns the min and the max', function() {
+        expect(result).toEqual([9, 12]);
+      });
+
+      it('makes a single pass over the array', function() {
+        expect(times_called).toEqual(5);
+      });
+    });
+  });
+
   describe('getting the unique items in an array', function() {
     describe('and the array contains simple value types', function() {
       let items;
@@ -919,6 +1300,1415 @@ describe('array utils', function() {
     });
   });
 
+  describe('getting the unique items in an array in linear time', function() {
+    let times_called;
+    let result;
+
+    beforeEach(function() {
+      times_called = 0;
+      result = sut.uniq(
+        (value, index) => {
+          times_called++;
+          return value % 3;
+        },
+        [1, 2, 3, 4, 5, 6]
+      );
+    });
+
+    it('invokes the mapper once per item', function() {
+      expect(times_called).toEqual(6);
+    });
+
+    it('keeps the first occurrence of each key', function() {
+      expect(result).toEqual([1, 2, 3]);
+    });
+
+    it('treats NaN as equal to itself', function() {
+      expect(sut.uniq([NaN, 1, NaN])).toEqual([NaN, 1]);
+    });
+
+    it('handles large arrays', function() {
+      const ids = sut.generate(100000, index => index % 1000);
+      expect(sut.uniq(ids).length).toEqual(1000);
+    });
+  });
+
+  describe('getting the unique items keeping the last occurrence', function() {
+    let readings;
+
+    beforeEach(function() {
+      readings = [
+        { sensor: 'a', value: 1 },
+        { sensor: 'b', value: 2 },
+        { sensor: 'a', value: 3 }
+      ];
+    });
+
+    it('returns the last occurrence of each key in array order', function() {
+      expect(sut.uniq_by_last(({ sensor }) => sensor, readings).map(({ value }) => value)).toEqual([2, 3]);
+    });
+
+    it('works without a mapper', function() {
+      expect(sut.uniq_by_last([1, 2, 1, 3, 2])).toEqual([1, 3, 2]);
+    });
+
+    it('works when partially applied', function() {
+      const deferred = sut.uniq_by_last(({ sensor }) => sensor);
+      expect(deferred(readings).length).toEqual(2);
+    });
+  });
+
+  describe('getting the unique items using an equality function', function() {
+    it('uses the equality function to compare items', function() {
+      const same_letter = (a, b) => a.toLowerCase() === b.toLowerCase();
+      const result = sut.uniq_with(same_letter, ['a', 'B', 'A', 'b', 'c']);
+      expect(result).toEqual(['a', 'B', 'c']);
+    });
+
+    it('supports structural equality', function() {
+      const points = [
+        { x: 1, y: [2] },
+        { x: 1, y: [2] },
+        { x: 2, y: [1] }
+      ];
+      expect(sut.uniq_with(sut.deep_equals, points)).toEqual([points[0], points[2]]);
+    });
+  });
+
+  describe('comparing items structurally', function() {
+    it('compares nested objects and arrays', function() {
+      expect(sut.deep_equals({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBeTruthy();
+      expect(sut.deep_equals({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] })).toBeFalsy();
+    });
+
+    it('requires the same keys', function() {
+      expect(sut.deep_equals({ a: 1 }, { a: 1, b: undefined })).toBeFalsy();
+      expect(sut.deep_equals({ a: undefined }, { b: undefined })).toBeFalsy();
+    });
+
+    it('compares dates, maps and sets by value', function() {
+      expect(sut.deep_equals(new Date(1), new Date(1))).toBeTruthy();
+      expect(sut.deep_equals(new Map([['a', [1]]]), new Map([['a', [1]]]))).toBeTruthy();
+      expect(sut.deep_equals(new Set([1]), new Set([2]))).toBeFalsy();
+    });
+
+    it('does not consider an array equal to an object', function() {
+      expect(sut.deep_equals([1], { 0: 1 })).toBeFalsy();
+    });
+
+    describe('when the items refer back to themselves', function() {
+      const node = value => {
+        const item = { value, children: [] };
+        item.children.push(item);
+        return item;
+      };
+
+      it('compares the rest of the structure', function() {
+        expect(sut.deep_equals(node(1), node(1))).toBeTruthy();
+        expect(sut.deep_equals(node(1), node(2))).toBeFalsy();
+      });
+
+      it('compares structures with cycles of different lengths', function() {
+        const first = node(1);
+        const second = { value: 1, children: [] };
+        second.children.push({ value: 1, children: [second] });
+
+        expect(sut.deep_equals(first, second)).toBeTruthy();
+        expect(sut.deep_equals(node(1), { value: 1, children: [{ value: 1, children: [] }] })).toBeFalsy();
+      });
+    });
+  });
+
+  describe('combining two arrays as sets', function() {
+    let server;
+    let local;
+
+    const ids = records => records.map(({ id }) => id);
+
+    beforeEach(function() {
+      server = [{ id: 1 }, { id: 2 }, { id: 3 }];
+      local = [{ id: 4 }, { id: 2 }, { id: 1 }, { id: 4 }];
+    });
+
+    describe('union', function() {
+      it('returns the unique items of the target followed by the new items of the other', function() {
+        expect(sut.union([3, 4, 4], [1, 2, 1, 3])).toEqual([1, 2, 3, 4]);
+      });
+
+      it('compares the mapped keys', function() {
+        expect(ids(sut.union_by(({ id }) => id, server, local))).toEqual([4, 2, 1, 3]);
+      });
+
+      it('compares using the equality function', function() {
+        expect(sut.union_with(sut.deep_equals, server, local)).toEqual([
+          { id: 4 },
+          { id: 2 },
+          { id: 1 },
+          { id: 3 }
+        ]);
+      });
+    });
+
+    describe('intersection', function() {
+      it('returns the unique items of the target that are in the other array', function() {
+        expect(sut.intersection([3, 1], [1, 2, 3, 1])).toEqual([1, 3]);
+      });
+
+      it('compares the mapped keys', function() {
+        expect(ids(sut.intersection_by(({ id }) => id, server, local))).toEqual([2, 1]);
+      });
+
+      it('compares using the equality function', function() {
+        expect(sut.intersection_with(sut.deep_equals, server, local)).toEqual([{ id: 2 }, { id: 1 }]);
+      });
+    });
+
+    describe('difference', function() {
+      it('returns the unique items of the target that are not in the other array', function() {
+        expect(sut.difference([2], [1, 2, 3, 1])).toEqual([1, 3]);
+      });
+
+      it('compares the mapped keys', function() {
+        expect(ids(sut.difference_by(({ id }) => id, server, local))).toEqual([4]);
+      });
+
+      it('compares using the equality function', function() {
+        expect(sut.difference_with(sut.deep_equals, local, server)).toEqual([{ id: 3 }]);
+      });
+
+      it('works when partially applied', function() {
+        const without_evens = sut.difference([2, 4]);
+        expect(without_evens(new Set([1, 2, 3, 4]))).toEqual([1, 3]);
+      });
+    });
+
+    describe('symmetric difference', function() {
+      it('returns the items that are only in one of the arrays', function() {
+        expect(sut.symmetric_difference([3, 4, 4], [1, 2, 3])).toEqual([1, 2, 4]);
+      });
+
+      it('compares the mapped keys', function() {
+        expect(ids(sut.symmetric_difference_by(({ id }) => id, server, local))).toEqual([4, 3]);
+      });
+
+      it('compares using the equality function', function() {
+        const result = sut.symmetric_difference_with(sut.deep_equals, server, local);
+        expect(result).toEqual([{ id: 4 }, { id: 3 }]);
+      });
+    });
+
+    describe('when the other array is missing', function() {
+      const by_id = ({ id }) => id;
+
+      it('treats it as empty', function() {
+        expect(sut.union(null, [1, 2, 1])).toEqual([1, 2]);
+        expect(sut.intersection(undefined, [1, 2])).toEqual([]);
+        expect(sut.difference(null, [1, 2, 1])).toEqual([1, 2]);
+        expect(sut.symmetric_difference(null, [1, 2])).toEqual([1, 2]);
+      });
+
+      it('treats it as empty when comparing mapped keys or using an equality function', function() {
+        expect(ids(sut.union_by(by_id, null, local))).toEqual([4, 2, 1]);
+        expect(sut.intersection_by(by_id, null, local)).toEqual([]);
+        expect(ids(sut.difference_with(sut.deep_equals, null, server))).toEqual([1, 2, 3]);
+        expect(ids(sut.symmetric_difference_with(sut.deep_equals, null, server))).toEqual([1, 2, 3]);
+      });
+    });
+  });
+
+  describe('grouping items by a key', function() {
+    let people;
+    let result;
+
+    beforeEach(function() {
+      people = [
+        { id: 1, name: 'First', city: 'MH' },
+        { id: 2, name: 'Second', city: 'CAL' },
+        { id: 3, name: 'Third', city: 'MH' }
+      ];
+    });
+
+    describe('into a map', function() {
+      let indexes;
+
+      beforeEach(function() {
+        indexes = [];
+        result = sut.group_by((person, index, array) => {
+          indexes.push(index);
+          expect(array).toEqual(people);
+          return person.city;
+        }, people);
+      });
+
+      it('returns the items for each key', function() {
+        expect(result.get('MH').map(({ id }) => id)).toEqual([1, 3]);
+        expect(result.get('CAL').map(({ id }) => id)).toEqual([2]);
+      });
+
+      it('keeps the keys in the order they were first seen', function() {
+        expect(Array.from(result.keys())).toEqual(['MH', 'CAL']);
+      });
+
+      it('provides the index to the mapper', function() {
+        expect(indexes).toEqual([0, 1, 2]);
+      });
+    });
+
+    describe('into an object', function() {
+      beforeEach(function() {
+        result = sut.group_by_object(({ city }) => city, people);
+      });
+
+      it('returns the items for each key', function() {
+        expect(Object.keys(result)).toEqual(['MH', 'CAL']);
+        expect(result.MH.map(({ id }) => id)).toEqual([1, 3]);
+      });
+    });
+
+    describe('indexing by a key', function() {
+      it('returns the last item for each key', function() {
+        result = sut.index_by(({ city }) => city, people);
+        expect(result.get('MH').id).toEqual(3);
+        expect(result.get('CAL').id).toEqual(2);
+      });
+
+      it('returns an object when asked to', function() {
+        result = sut.index_by_object(({ id }) => id, people);
+        expect(result[2].name).toEqual('Second');
+      });
+    });
+
+    describe('counting by a key', function() {
+      it('returns the number of items for each key', function() {
+        result = sut.count_by(({ city }) => city, people);
+        expect(Array.from(result.entries())).toEqual([
+          ['MH', 2],
+          ['CAL', 1]
+        ]);
+      });
+
+      it('returns an object when asked to', function() {
+        expect(sut.count_by_object(({ city }) => city, people)).toEqual({ MH: 2, CAL: 1 });
+      });
+    });
+  });
+
+  describe('partitioning an array', function() {
+    it('returns the matching items followed by the rest', function() {
+      expect(sut.partition(value => value % 2 === 0, [1, 2, 3, 4, 5])).toEqual([
+        [2, 4],
+        [1, 3, 5]
+      ]);
+    });
+
+    it('returns two empty arrays for an empty array', function() {
+      expect(sut.partition(value => value, [])).toEqual([[], []]);
+    });
+  });
+
+  describe('joining two arrays', function() {
+    let customers;
+    let orders;
+    let times_called;
+
+    const customer_id = ({ customer_id }) => customer_id;
+    const id = ({ id }) => id;
+    const pair = (order, customer) => [order && order.id, customer && customer.name];
+
+    beforeEach(function() {
+      customers = [
+        { id: 1, name: 'Ann' },
+        { id: 2, name: 'Bob' },
+        { id: 3, name: 'Cat' }
+      ];
+      orders = [
+        { id: 'a', customer_id: 2 },
+        { id: 'b', customer_id: 4 },
+        { id: 'c', customer_id: 2 },
+        { id: 'd', customer_id: 1 }
+      ];
+      times_called = 0;
+    });
+
+    it('combines each pair of items with the same key, in the order of the left array', function() {
+      expect(sut.inner_join(customer_id, id, pair, orders, customers)).toEqual([
+        ['a', 'Bob'],
+        ['c', 'Bob'],
+        ['d', 'Ann']
+      ]);
+    });
+
+    it('combines a left item with each of its matches', function() {
+      const result = sut.inner_join(id, customer_id, (customer, order) => order.id, customers, orders);
+      expect(result).toEqual(['d', 'a', 'c']);
+    });
+
+    it('produces each key only once per item', function() {
+      const counted_id = (...args) => {
+        times_called++;
+        return id(...args);
+      };
+
+      sut.full_outer_join(customer_id, counted_id, pair, orders, customers);
+      expect(times_called).toEqual(customers.length);
+    });
+
+    it('keeps the left items without a match in a left join', function() {
+      expect(sut.left_join(customer_id, id, pair, orders, customers)).toEqual([
+        ['a', 'Bob'],
+        ['b', undefined],
+        ['c', 'Bob'],
+        ['d', 'Ann']
+      ]);
+    });
+
+    it('keeps the right items without a match in a right join, in the right order', function() {
+      expect(sut.right_join(customer_id, id, pair, orders, customers)).toEqual([
+        ['d', 'Ann'],
+        ['a', 'Bob'],
+        ['c', 'Bob'],
+        [undefined, 'Cat']
+      ]);
+    });
+
+    it('keeps the items without a match from both sides in a full outer join', function() {
+      expect(sut.full_outer_join(customer_id, id, pair, orders, customers)).toEqual([
+        ['a', 'Bob'],
+        ['b', undefined],
+        ['c', 'Bob'],
+        ['d', 'Ann'],
+        [undefined, 'Cat']
+      ]);
+    });
+
+    it('returns the left items with a match in a semi join', function() {
+      expect(sut.semi_join(id, customer_id, customers, orders)).toEqual([customers[0], customers[1]]);
+    });
+
+    it('returns the left items without a match in an anti join', function() {
+      expect(sut.anti_join(id, customer_id, customers, orders)).toEqual([customers[2]]);
+    });
+
+    describe('when some of the keys are missing', function() {
+      beforeEach(function() {
+        customers.push({ name: 'Dan' }, { id: null, name: 'Eve' });
+        orders.push({ id: 'e' }, { id: 'f', customer_id: null });
+      });
+
+      it('does not match them to each other', function() {
+        expect(sut.inner_join(customer_id, id, pair, orders, customers)).toEqual([
+          ['a', 'Bob'],
+          ['c', 'Bob'],
+          ['d', 'Ann']
+        ]);
+      });
+
+      it('keeps them as items without a match', function() {
+        expect(sut.full_outer_join(customer_id, id, pair, orders.slice(4), customers.slice(3))).toEqual([
+          ['e', undefined],
+          ['f', undefined],
+          [undefined, 'Dan'],
+          [undefined, 'Eve']
+        ]);
+      });
+
+      it('does not count them as a match in a semi or anti join', function() {
+        const without_customer = orders.slice(4);
+
+        expect(sut.semi_join(customer_id, id, without_customer, customers)).toEqual([]);
+        expect(sut.anti_join(customer_id, id, without_customer, customers)).toEqual(without_customer);
+      });
+    });
+
+    it('can be partially applied', function() {
+      const with_customer = sut.inner_join(customer_id, id, pair);
+      expect(with_customer([orders[3]], customers)).toEqual([['d', 'Ann']]);
+    });
+  });
+
+  describe('splitting an array into pieces', function() {
+    const numbers = [1, 2, 3, 4, 5];
+
+    it('chunks the items, leaving the remainder in the last chunk', function() {
+      expect(sut.chunk(2, numbers)).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    it('chunks an iterable', function() {
+      expect(sut.chunk(2, new Set(numbers))).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    it('throws when the chunk size is not a positive integer', function() {
+      expect(() => sut.chunk(0, numbers)).toThrow(RangeError);
+      expect(() => sut.chunk(1.5, numbers)).toThrow(/size must be a positive integer/);
+    });
+
+    it('returns the overlapping windows', function() {
+      expect(sut.sliding_window(3, 1, numbers)).toEqual([
+        [1, 2, 3],
+        [2, 3, 4],
+        [3, 4, 5]
+      ]);
+    });
+
+    it('starts a new window every step items', function() {
+      expect(sut.sliding_window(2, 2, numbers)).toEqual([
+        [1, 2],
+        [3, 4]
+      ]);
+    });
+
+    it('skips the items between windows when the step is larger than the size', function() {
+      expect(sut.sliding_window(2, 3, [1, 2, 3, 4, 5, 6, 7])).toEqual([
+        [1, 2],
+        [4, 5]
+      ]);
+    });
+
+    it('returns no windows when there are fewer items than the size', function() {
+      expect(sut.sliding_window(6, 1, numbers)).toEqual([]);
+    });
+
+    it('returns each pair of adjacent items', function() {
+      expect(sut.pairwise([1, 4, 9])).toEqual([
+        [1, 4],
+        [4, 9]
+      ]);
+      expect(sut.pairwise([1])).toEqual([]);
+    });
+
+    it('splits at an index', function() {
+      expect(sut.split_at(2, numbers)).toEqual([
+        [1, 2],
+        [3, 4, 5]
+      ]);
+    });
+
+    it('splits at an index counted back from the end', function() {
+      expect(sut.split_at(-2, numbers)).toEqual([
+        [1, 2, 3],
+        [4, 5]
+      ]);
+    });
+
+    it('splits wherever the predicate matches adjacent items', function() {
+      const calls = [];
+      const result = sut.split_when(
+        (previous, current, index) => {
+          calls.push([previous, current, index]);
+          return current - previous > 1;
+        },
+        [1, 2, 5, 6, 9]
+      );
+
+      expect(result).toEqual([[1, 2], [5, 6], [9]]);
+      expect(calls).toEqual([
+        [1, 2, 1],
+        [2, 5, 2],
+        [5, 6, 3],
+        [6, 9, 4]
+      ]);
+    });
+
+    it('returns no groups for an empty array', function() {
+      expect(sut.split_when(() => true, [])).toEqual([]);
+    });
+  });
+
+  describe('taking and dropping items', function() {
+    let numbers;
+    let times_called;
+    let result;
+
+    const counted = condition => (...args) => {
+      times_called++;
+      return condition(...args);
+    };
+
+    beforeEach(function() {
+      numbers = [1, 2, 3, 4, 5, 6];
+      times_called = 0;
+    });
+
+    describe('taking from the start', function() {
+      it('takes the first items', function() {
+        expect(sut.take(2, numbers)).toEqual([1, 2]);
+      });
+
+      it('does not read the items past the last one taken', function() {
+        const source = {
+          [Symbol.iterator]: () => {
+            let index = 0;
+            return {
+              next: () => {
+                times_called++;
+                return { done: false, value: index++ };
+              }
+            };
+          }
+        };
+
+        expect(sut.take(2, source)).toEqual([0, 1]);
+        expect(times_called).toEqual(2);
+      });
+
+      it('returns all the items when there are fewer than requested', function() {
+        expect(sut.take(10, numbers)).toEqual(numbers);
+      });
+
+      it('returns no items when asked for none', function() {
+        expect(sut.take(0, numbers)).toEqual([]);
+        expect(sut.take(-1, numbers)).toEqual([]);
+      });
+    });
+
+    describe('taking from the start while the condition matches', function() {
+      beforeEach(function() {
+        result = sut.take_while(
+          counted(value => value < 3),
+          numbers
+        );
+      });
+
+      it('returns the leading items that match', function() {
+        expect(result).toEqual([1, 2]);
+      });
+
+      it('stops at the first item that does not match', function() {
+        expect(times_called).toEqual(3);
+      });
+    });
+
+    describe('taking from the end', function() {
+      it('takes the last items in their original order', function() {
+        expect(sut.take_last(2, numbers)).toEqual([5, 6]);
+      });
+
+      it('returns no items when asked for none', function() {
+        expect(sut.take_last(0, numbers)).toEqual([]);
+      });
+    });
+
+    describe('taking from the end while the condition matches', function() {
+      beforeEach(function() {
+        result = sut.take_last_while(
+          counted(value => value > 4),
+          numbers
+        );
+      });
+
+      it('returns the trailing items that match in their original order', function() {
+        expect(result).toEqual([5, 6]);
+      });
+
+      it('stops at the last item that does not match', function() {
+        expect(times_called).toEqual(3);
+      });
+    });
+
+    describe('dropping from the start', function() {
+      it('skips the first items', function() {
+        expect(sut.drop(4, numbers)).toEqual([5, 6]);
+      });
+
+      it('returns no items when dropping more than there are', function() {
+        expect(sut.drop(10, numbers)).toEqual([]);
+      });
+    });
+
+    describe('dropping from the start while the condition matches', function() {
+      beforeEach(function() {
+        result = sut.drop_while(
+          counted(value => value % 3 !== 0),
+          numbers
+        );
+      });
+
+      it('returns the items from the first one that does not match', function() {
+        expect(result).toEqual([3, 4, 5, 6]);
+      });
+
+      it('does not invoke the condition once an item does not match', function() {
+        expect(times_called).toEqual(3);
+      });
+    });
+
+    describe('dropping from the end', function() {
+      it('leaves off the last items', function() {
+        expect(sut.drop_last(2, numbers)).toEqual([1, 2, 3, 4]);
+      });
+
+      it('works with iterables', function() {
+        expect(sut.drop_last(2, new Set(numbers))).toEqual([1, 2, 3, 4]);
+      });
+
+      it('returns no items when dropping more than there are', function() {
+        expect(sut.drop_last(10, numbers)).toEqual([]);
+      });
+    });
+  });
+
+  describe('zipping arrays together', function() {
+    const counting = () => {
+      let index = 0;
+      return { [Symbol.iterator]: () => ({ next: () => ({ done: false, value: index++ }) }) };
+    };
+
+    it('combines the items at the same position', function() {
+      expect(sut.zip(['a', 'b'], [1, 2], [true, false])).toEqual([
+        ['a', 1, true],
+        ['b', 2, false]
+      ]);
+    });
+
+    it('stops at the end of the shortest target', function() {
+      expect(sut.zip(['a', 'b', 'c'], [1, 2])).toEqual([
+        ['a', 1],
+        ['b', 2]
+      ]);
+    });
+
+    it('zips infinite iterables with finite ones', function() {
+      expect(sut.zip(counting(), new Set(['a', 'b']))).toEqual([
+        [0, 'a'],
+        [1, 'b']
+      ]);
+    });
+
+    it('closes the iterables that were not read to the end', function() {
+      let closed = false;
+      const source = {
+        [Symbol.iterator]: () => ({
+          next: () => ({ done: false, value: 1 }),
+          return: () => {
+            closed = true;
+            return { done: true };
+          }
+        })
+      };
+
+      sut.zip(source, [1]);
+      expect(closed).toBeTruthy();
+    });
+
+    it('returns no items when there are no targets', function() {
+      expect(sut.zip()).toEqual([]);
+    });
+
+    it('combines the items using a combiner', function() {
+      expect(sut.zip_with((a, b) => a + b, [1, 2, 3], [10, 20])).toEqual([11, 22]);
+    });
+
+    it('can be given the combiner first and the targets later', function() {
+      const add = sut.zip_with((a, b) => a + b);
+      expect(add([1, 2], [10, 20])).toEqual([11, 22]);
+    });
+
+    it('fills in the missing items to the length of the longest target', function() {
+      expect(sut.zip_longest(0, ['a', 'b', 'c'], [1, 2])).toEqual([
+        ['a', 1],
+        ['b', 2],
+        ['c', 0]
+      ]);
+    });
+
+    it('can be given the fill value first and the targets later', function() {
+      expect(sut.zip_longest(null)([1], [])).toEqual([[1, null]]);
+    });
+
+    it('splits tuples back into arrays', function() {
+      expect(
+        sut.unzip([
+          ['a', 1],
+          ['b', 2]
+        ])
+      ).toEqual([
+        ['a', 'b'],
+        [1, 2]
+      ]);
+    });
+
+    it('creates an object from keys and values', function() {
+      expect(sut.zip_object(['a', 'b', 'c'], [1, 2])).toEqual({ a: 1, b: 2, c: undefined });
+      expect(sut.zip_object(['a'], counting())).toEqual({ a: 0 });
+    });
+  });
+
+  describe('finding the index of an item', function() {
+    let numbers;
+    let times_called;
+
+    const counted = condition => (...args) => {
+      times_called++;
+      return condition(...args);
+    };
+
+    beforeEach(function() {
+      numbers = [1, 3, 4, 6, 7];
+      times_called = 0;
+    });
+
+    it('finds the index of the first matching item', function() {
+      expect(
+        sut.find_index(
+          counted(value => value % 2 === 0),
+          numbers
+        )
+      ).toEqual(2);
+      expect(times_called).toEqual(3);
+    });
+
+    it('finds the index of the last matching item, starting from the end', function() {
+      expect(
+        sut.find_last_index(
+          counted(value => value % 2 === 0),
+          numbers
+        )
+      ).toEqual(3);
+      expect(times_called).toEqual(2);
+    });
+
+    it('returns -1 when no item matches', function() {
+      expect(sut.find_index(value => value > 10, numbers)).toEqual(-1);
+      expect(sut.find_last_index(value => value > 10, numbers)).toEqual(-1);
+      expect(sut.find_index(value => value, [])).toEqual(-1);
+    });
+
+    it('finds the index of a matching falsy item', function() {
+      expect(sut.find_index(value => value === 0, [1, 0])).toEqual(1);
+    });
+
+    it('works with iterables', function() {
+      expect(sut.find_last_index(value => value < 5, new Set(numbers))).toEqual(2);
+    });
+
+    it('finds the index of an item by a mapped value', function() {
+      const people = [{ id: 1 }, { id: NaN }, { id: 2 }];
+      expect(sut.index_of_by(({ id }) => id, 2, people)).toEqual(2);
+      expect(sut.index_of_by(({ id }) => id, NaN, people)).toEqual(1);
+      expect(sut.index_of_by(({ id }) => id, 3, people)).toEqual(-1);
+    });
+  });
+
+  describe('searching a sorted array', function() {
+    const by_number = (a, b) => a - b;
+    const numbers = [1, 3, 3, 3, 7, 9];
+
+    it('finds the index of a value', function() {
+      expect(sut.binary_search(by_number, 7, numbers)).toEqual(4);
+    });
+
+    it('finds the first of several equal values', function() {
+      expect(sut.binary_search(by_number, 3, numbers)).toEqual(1);
+    });
+
+    it('returns -1 when the value is not in the array', function() {
+      expect(sut.binary_search(by_number, 5, numbers)).toEqual(-1);
+      expect(sut.binary_search(by_number, 10, numbers)).toEqual(-1);
+      expect(sut.binary_search(by_number, 1, [])).toEqual(-1);
+    });
+
+    it('works with the comparers used for sorting', function() {
+      const by_age = sut.ascending(({ age }) => age);
+      const people = sut.sort(by_age, [{ age: 30 }, { age: 10 }, { age: 20 }]);
+      expect(sut.binary_search(by_age, { age: 20 }, people)).toEqual(1);
+    });
+
+    it('finds the index at which to insert a value', function() {
+      expect(sut.sorted_insert_index(by_number, 5, numbers)).toEqual(4);
+      expect(sut.sorted_insert_index(by_number, 0, numbers)).toEqual(0);
+      expect(sut.sorted_insert_index(by_number, 10, numbers)).toEqual(6);
+    });
+
+    it('inserts a value after the items equal to it', function() {
+      expect(sut.sorted_insert_index(by_number, 3, numbers)).toEqual(4);
+    });
+  });
+
+  describe('editing an array without modifying it', function() {
+    let numbers;
+
+    beforeEach(function() {
+      numbers = [1, 2, 3];
+    });
+
+    afterEach(function() {
+      expect(numbers).toEqual([1, 2, 3]);
+    });
+
+    describe('inserting items', function() {
+      it('inserts the items before the item at the index', function() {
+        expect(sut.insert_at(1, ['a', 'b'], numbers)).toEqual([1, 'a', 'b', 2, 3]);
+      });
+
+      it('counts a negative index back from the end', function() {
+        expect(sut.insert_at(-1, ['a'], numbers)).toEqual([1, 2, 'a', 3]);
+      });
+
+      it('inserts at the nearest end for an index past either end', function() {
+        expect(sut.insert_at(10, ['a'], numbers)).toEqual([1, 2, 3, 'a']);
+        expect(sut.insert_at(-10, ['a'], numbers)).toEqual(['a', 1, 2, 3]);
+      });
+
+      it('returns the original array when there is nothing to insert', function() {
+        expect(sut.insert_at(1, [], numbers)).toBe(numbers);
+      });
+    });
+
+    describe('removing an item', function() {
+      it('removes the item at the index', function() {
+        expect(sut.remove_at(1, numbers)).toEqual([1, 3]);
+        expect(sut.remove_at(-1, numbers)).toEqual([1, 2]);
+      });
+
+      it('returns the original array when there is no item at the index', function() {
+        expect(sut.remove_at(3, numbers)).toBe(numbers);
+        expect(sut.remove_at(-4, numbers)).toBe(numbers);
+      });
+    });
+
+    describe('updating an item', function() {
+      it('replaces the item at the index with the result of the updater', function() {
+        expect(sut.update_at(-1, (value, index) => value * 10 + index, numbers)).toEqual([1, 2, 32]);
+      });
+
+      it('returns the original array when the item is not changed', function() {
+        expect(sut.update_at(0, value => value, numbers)).toBe(numbers);
+        expect(sut.update_at(5, value => value * 2, numbers)).toBe(numbers);
+      });
+    });
+
+    describe('updating the items that match a condition', function() {
+      it('replaces each matching item with the result of the updater', function() {
+        expect(
+          sut.update_where(
+            value => value > 1,
+            value => value * 10,
+            numbers
+          )
+        ).toEqual([1, 20, 30]);
+      });
+
+      it('returns the original array when no item is changed', function() {
+        expect(
+          sut.update_where(
+            value => value > 5,
+            value => value * 10,
+            numbers
+          )
+        ).toBe(numbers);
+        expect(
+          sut.update_where(
+            value => value > 1,
+            value => value,
+            numbers
+          )
+        ).toBe(numbers);
+      });
+    });
+
+    describe('removing the items that match a condition', function() {
+      it('removes each matching item', function() {
+        expect(sut.remove_where(value => value % 2 === 1, numbers)).toEqual([2]);
+      });
+
+      it('returns the original array when no item matches', function() {
+        expect(sut.remove_where(value => value > 5, numbers)).toBe(numbers);
+      });
+    });
+
+    describe('moving an item', function() {
+      it('moves the item to the index, shifting the items in between', function() {
+        expect(sut.move(0, 2, numbers)).toEqual([2, 3, 1]);
+        expect(sut.move(2, 0, numbers)).toEqual([3, 1, 2]);
+      });
+
+      it('counts negative indexes back from the end', function() {
+        expect(sut.move(-1, -2, numbers)).toEqual([1, 3, 2]);
+      });
+
+      it('returns the original array when nothing moves', function() {
+        expect(sut.move(1, 1, numbers)).toBe(numbers);
+        expect(sut.move(1, -2, numbers)).toBe(numbers);
+        expect(sut.move(0, 3, numbers)).toBe(numbers);
+      });
+    });
+
+    describe('swapping items', function() {
+      it('swaps the items at the indexes', function() {
+        expect(sut.swap(0, -1, numbers)).toEqual([3, 2, 1]);
+      });
+
+      it('returns the original array when nothing is swapped', function() {
+        expect(sut.swap(1, 1, numbers)).toBe(numbers);
+        expect(sut.swap(0, 3, numbers)).toBe(numbers);
+      });
+    });
+
+    it('edits iterables into a new array', function() {
+      expect(sut.remove_at(0, new Set(numbers))).toEqual([2, 3]);
+    });
+  });
+
+  describe('working with typed arrays', function() {
+    let samples;
+
+    beforeEach(function() {
+      samples = new Float64Array([1.5, -2, 3]);
+    });
+
+    afterEach(function() {
+      sut.configure({ snapshot: false });
+    });
+
+    it('visits the typed array in place', function() {
+      const targets = [];
+      sut.each((value, index, target) => targets.push(target), samples);
+      sut.each_in_reverse((value, index, target) => targets.push(target), samples);
+
+      expect(targets.every(target => target === samples)).toBeTruthy();
+    });
+
+    it('sees changes made to the typed array while visiting it', function() {
+      const visited = sut.map((value, index) => {
+        if (index === 0) samples[1] = 10;
+        return value;
+      }, samples);
+
+      expect(visited).toEqual([1.5, 10, 3]);
+    });
+
+    it('visits a copy when the snapshot setting is turned on', function() {
+      sut.configure({ snapshot: true });
+      const visited = sut.map((value, index) => {
+        if (index === 0) samples[1] = 10;
+        return value;
+      }, samples);
+
+      expect(visited).toEqual([1.5, -2, 3]);
+    });
+
+    it('returns the previous settings when changing them', function() {
+      expect(sut.configure({ snapshot: true })).toEqual({ snapshot: false, strict: false });
+      expect(sut.configure({ snapshot: false })).toEqual({ snapshot: true, strict: false });
+    });
+
+    it('maps to a typed array of the same kind', function() {
+      const result = sut.map_typed(value => value * 2, new Int32Array([1, 2]));
+
+      expect(result).toBeInstanceOf(Int32Array);
+      expect(Array.from(result)).toEqual([2, 4]);
+    });
+
+    it('converts mapped values the same way as the typed array does', function() {
+      expect(Array.from(sut.map_typed(value => value / 2, new Uint8Array([3, 255])))).toEqual([1, 127]);
+    });
+
+    it('filters to a typed array of the same kind', function() {
+      const result = sut.filter_typed(value => value > 0, samples);
+
+      expect(result).toBeInstanceOf(Float64Array);
+      expect(Array.from(result)).toEqual([1.5, 3]);
+    });
+
+    it('maps and filters other targets to arrays', function() {
+      expect(sut.map_typed(value => value * 2, [1, 2])).toEqual([2, 4]);
+      expect(sut.filter_typed(value => value > 1, new Set([1, 2]))).toEqual([2]);
+    });
+
+    it('works with the numeric functions', function() {
+      expect(sut.max(value => value, samples)).toEqual(3);
+      expect(sut.sort(samples)).toEqual([-2, 1.5, 3]);
+    });
+  });
+
+  describe('ordering items by their dependencies', function() {
+    const name = ({ name }) => name;
+    const needs = ({ needs }) => needs;
+    const names = items => items.map(name);
+    const level_names = levels => levels.map(names);
+    let steps;
+
+    beforeEach(function() {
+      steps = [
+        { name: 'deploy', needs: ['test', 'build'] },
+        { name: 'lint' },
+        { name: 'test', needs: ['build'] },
+        { name: 'docs' },
+        { name: 'build', needs: ['lint', 'lint'] }
+      ];
+    });
+
+    it('places each item after the items it depends on', function() {
+      const result = sut.topo_sort(name, needs, steps);
+      expect(names(result)).toEqual(['lint', 'docs', 'build', 'test', 'deploy']);
+    });
+
+    it('keeps the original order of items that do not depend on each other', function() {
+      const independent = [{ name: 'c' }, { name: 'a' }, { name: 'b' }];
+      expect(names(sut.topo_sort(name, needs, independent))).toEqual(['c', 'a', 'b']);
+    });
+
+    it('picks the earliest item in the array whenever more than one item could come next', function() {
+      const items = [{ name: 'b', needs: ['z'] }, { name: 'a', needs: ['z'] }, { name: 'z' }];
+      expect(names(sut.topo_sort(name, needs, items))).toEqual(['z', 'b', 'a']);
+    });
+
+    it('ignores dependencies that are not in the array', function() {
+      expect(names(sut.topo_sort(name, needs, [{ name: 'a', needs: ['missing'] }]))).toEqual(['a']);
+    });
+
+    it('groups the items into levels that can be processed in parallel', function() {
+      expect(level_names(sut.topo_levels(name, needs, steps))).toEqual([
+        ['lint', 'docs'],
+        ['build'],
+        ['test'],
+        ['deploy']
+      ]);
+    });
+
+    it('returns no levels when there are no items', function() {
+      expect(sut.topo_levels(name, needs, [])).toEqual([]);
+    });
+
+    it('throws when ids are not unique', function() {
+      expect(() => sut.topo_sort(name, needs, [{ name: 'a' }, { name: 'a' }])).toThrow(/duplicate id: a/);
+    });
+
+    describe('and the dependencies form a cycle', function() {
+      beforeEach(function() {
+        steps = [
+          { name: 'release', needs: ['deploy'] },
+          { name: 'deploy', needs: ['test'] },
+          { name: 'test', needs: ['build'] },
+          { name: 'build', needs: ['deploy'] }
+        ];
+      });
+
+      it('throws a cycle error listing the items in the cycle', function() {
+        [sut.topo_sort, sut.topo_levels].forEach(order => {
+          let error;
+          try {
+            order(name, needs, steps);
+          } catch (thrown) {
+            error = thrown;
+          }
+
+          expect(error).toBeInstanceOf(sut.CycleError);
+          expect(error).toBeInstanceOf(Error);
+          expect(error.cycle).toEqual(['deploy', 'test', 'build']);
+          expect(error.message).toEqual('dependency cycle found: deploy -> test -> build -> deploy');
+        });
+      });
+
+      it('reports an item that depends on itself', function() {
+        expect(() => sut.topo_sort(name, needs, [{ name: 'a', needs: ['a'] }])).toThrow(/a -> a/);
+      });
+    });
+  });
+
+  describe('checking arguments in strict mode', function() {
+    const double = value => value * 2;
+
+    afterEach(function() {
+      sut.configure({ strict: false });
+    });
+
+    it('does not check arguments by default', function() {
+      expect(sut.sort(undefined)).toEqual([]);
+      expect(sut.first(null)).toBeUndefined();
+    });
+
+    describe('when the strict setting is turned on', function() {
+      beforeEach(function() {
+        sut.configure({ strict: true });
+      });
+
+      it('names the function and the parameter when arguments are passed in the wrong order', function() {
+        expect(() => sut.map(items, double)).toThrow(TypeError);
+        expect(() => sut.map(items, double)).toThrow(
+          'map expects mapper to be a function, received an array'
+        );
+      });
+
+      it('throws for targets that are not iterable', function() {
+        expect(() => sut.sort(undefined)).toThrow('sort expects target to be an array or iterable');
+        expect(() => sut.first(null)).toThrow(
+          'first expects target to be an array or iterable, received null'
+        );
+        expect(() => sut.reduce(0, (total, value) => total + value, 42)).toThrow(
+          'reduce expects target to be an array or iterable, received number 42'
+        );
+      });
+
+      it('throws for counts and indexes that are not integers', function() {
+        expect(() => sut.take(1.5, items)).toThrow('take expects count to be an integer or Infinity');
+        expect(() => sut.remove_at('1', items)).toThrow('remove_at expects index to be an integer');
+      });
+
+      it('names the condition or comparer when the target is passed before it', function() {
+        const is_even = value => value % 2 === 0;
+
+        expect(() => sut.first(items, is_even)).toThrow(
+          'first expects condition to be a function, received an array'
+        );
+        expect(() => sut.last(items, is_even)).toThrow('last expects condition to be a function');
+        expect(() => sut.try_first(items, is_even)).toThrow('try_first expects condition');
+        expect(() => sut.first_or(0, items, is_even)).toThrow('first_or expects condition');
+        expect(() => sut.sort(items, (a, b) => b - a)).toThrow(
+          'sort expects comparer to be a function, received an array'
+        );
+      });
+
+      it('names the position of a comparer that is not a function', function() {
+        expect(() => sut.sort_by('x', items)).toThrow(
+          'sort_by expects comparers to be an array, received string'
+        );
+        expect(() => sut.sort_by([sut.ascending(double), 'x'], items)).toThrow(
+          'sort_by expects comparers[1] to be a function, received string'
+        );
+      });
+
+      it('checks the arguments once all of them have been provided', function() {
+        const map_items = sut.map(items);
+
+        expect(() => map_items(double)).toThrow('map expects mapper to be a function');
+      });
+
+      it('checks each target of a variadic function', function() {
+        expect(() => sut.zip(items, 5)).toThrow('zip expects targets[1] to be an array or iterable');
+      });
+
+      it('does not check the calls the library makes on behalf of the called function', function() {
+        const tasks = [{ name: 'a' }, { name: 'b' }];
+        const result = sut.topo_sort(
+          ({ name }) => name,
+          () => 42,
+          tasks
+        );
+
+        expect(result).toEqual(tasks);
+      });
+
+      it('checks the calls made by the callbacks it was given', function() {
+        expect(() => sut.map(value => sut.take(1.5, [value]), items)).toThrow(
+          'take expects count to be an integer or Infinity'
+        );
+      });
+
+      it('accepts valid arguments, including ones that are optional', function() {
+        expect(sut.map(double, items)).toEqual([2, 4, 6, 8]);
+        expect(sut.first(items)).toEqual(1);
+        expect(sut.uniq([1, 1, 2])).toEqual([1, 2]);
+        expect(sut.take(Infinity, new Set(items))).toEqual(items);
+        expect(sut.sort((a, b) => b - a, items)).toEqual([4, 3, 2, 1]);
+      });
+    });
+  });
+
+  describe('working with targets that are not arrays', function() {
+    let numbers;
+
+    beforeEach(function() {
+      numbers = new Set([1, 2, 3, 4]);
+    });
+
+    it('visits each item in a set', function() {
+      const values_visited = [];
+      sut.each((value, index) => values_visited.push([value, index]), numbers);
+      expect(values_visited).toEqual([
+        [1, 0],
+        [2, 1],
+        [3, 2],
+        [4, 3]
+      ]);
+    });
+
+    it('provides the iterable itself to the visitor', function() {
+      sut.each((value, index, target) => expect(target).toBe(numbers), numbers);
+    });
+
+    it('stops iterating when the visitor returns false', function() {
+      const values_visited = [];
+      sut.each_until(value => {
+        values_visited.push(value);
+        return value < 2;
+      }, numbers.values());
+      expect(values_visited).toEqual([1, 2]);
+    });
+
+    it('visits each item in reverse', function() {
+      const values_visited = [];
+      sut.each_in_reverse((value, index) => values_visited.push([value, index]), numbers);
+      expect(values_visited).toEqual([
+        [4, 3],
+        [3, 2],
+        [2, 1],
+        [1, 0]
+      ]);
+    });
+
+    it('visits the entries of a map', function() {
+      const result = sut.map(
+        ([key, value]) => `${key}=${value}`,
+        new Map([
+          ['a', 1],
+          ['b', 2]
+        ])
+      );
+      expect(result).toEqual(['a=1', 'b=2']);
+    });
+
+    it('visits the characters of a string', function() {
+      expect(sut.filter(character => character !== 'b', 'abc')).toEqual(['a', 'c']);
+    });
+
+    it('visits array-likes', function() {
+      expect(sut.map(value => value * 2, { length: 2, 0: 1, 1: 2 })).toEqual([2, 4]);
+    });
+
+    it('filters the items produced by an iterator', function() {
+      expect(sut.filter(value => value % 2 === 0, [1, 2, 3, 4].values())).toEqual([2, 4]);
+    });
+
+    it('finds the first and last items', function() {
+      expect(sut.first(numbers)).toEqual(1);
+      expect(sut.last(numbers)).toEqual(4);
+      expect(sut.last(value => value < 3, numbers)).toEqual(2);
+    });
+
+    it('returns the unique items', function() {
+      expect(sut.uniq(new Set([1, 2]).add(3))).toEqual([1, 2, 3]);
+      expect(sut.uniq(value => value % 2, numbers)).toEqual([1, 2]);
+    });
+
+    it('sorts the items into a new array', function() {
+      expect(sut.sort(new Set([3, 1, 2]))).toEqual([1, 2, 3]);
+      expect(sut.sort((a, b) => b - a, numbers)).toEqual([4, 3, 2, 1]);
+    });
+  });
+
+  describe('last without a condition', function() {
+    it('returns the last item in the array', function() {
+      expect(sut.last([1, 2, 3])).toEqual(3);
+    });
+  });
+
+  describe('diffing two arrays', function() {
+    let before;
+    let after;
+    let patch;
+
+    const by_id = ({ id }) => id;
+    const records = (...ids) => ids.map(id => ({ id }));
+    const operations = (...names) => patch.filter(({ op }) => names.includes(op));
+
+    describe('when items are removed, inserted and reordered', function() {
+      beforeEach(function() {
+        before = records(1, 2, 3, 4, 5);
+        after = records(6, 5, 1, 3, 4);
+      });
+
+      beforeEach(function() {
+        patch = sut.diff(by_id, before, after);
+      });
+
+      it('removes the items that are no longer present', function() {
+        expect(operations('remove')).toEqual([{ op: 'remove', index: 1, key: 2 }]);
+      });
+
+      it('inserts the new items', function() {
+        expect(operations('insert')).toEqual([{ op: 'insert', index: 0, key: 6, value: { id: 6 } }]);
+      });
+
+      it('moves only the items that are out of order', function() {
+        expect(operations('move').map(({ key }) => key)).toEqual([5]);
+      });
+
+      it('produces the new array when applied', function() {
+        expect(sut.apply_patch(patch, before)).toEqual(after);
+      });
+
+      it('does not modify the original array', function() {
+        sut.apply_patch(patch, before);
+        expect(before).toEqual(records(1, 2, 3, 4, 5));
+      });
+
+      it('produces a patch that can be sent as json', function() {
+        expect(sut.apply_patch(JSON.parse(JSON.stringify(patch)), before)).toEqual(after);
+      });
+    });
+
+    describe('when one item is moved to the end', function() {
+      it('only moves that item', function() {
+        patch = sut.diff(val => val, ['a', 'b', 'c', 'd'], ['b', 'c', 'd', 'a']);
+        expect(patch).toEqual([{ op: 'move', from: 0, to: 3, key: 'a' }]);
+      });
+    });
+
+    describe('when an item keeps its key but changes', function() {
+      it('replaces the item', function() {
+        before = [
+          { id: 1, name: 'First' },
+          { id: 2, name: 'Second' }
+        ];
+        after = [
+          { id: 2, name: 'Second' },
+          { id: 1, name: 'Renamed' }
+        ];
+        patch = sut.diff(by_id, before, after);
+        expect(operations('replace')).toEqual([{ op: 'replace', index: 1, key: 1, value: after[1] }]);
+        expect(sut.apply_patch(patch, before)).toEqual(after);
+      });
+    });
+
+    describe('when nothing has changed', function() {
+      it('returns an empty patch', function() {
+        expect(sut.diff(by_id, records(1, 2), records(1, 2))).toEqual([]);
+      });
+    });
+
+    describe('for a variety of reorderings', function() {
+      it('always produces the new array when applied', function() {
+        const cases = [
+          [[], [1, 2]],
+          [[1, 2], []],
+          [
+            [1, 2, 3],
+            [3, 2, 1]
+          ],
+          [
+            [1, 2, 3, 4, 5, 6],
+            [6, 1, 7, 4, 3, 8, 2]
+          ],
+          [
+            [5, 4, 3, 2, 1],
+            [1, 9, 3, 5, 2]
+          ]
+        ];
+        sut.each(([first, second]) => {
+          expect(
+            sut.apply_patch(
+              sut.diff(val => val, first, second),
+              first
+            )
+          ).toEqual(second);
+        }, cases);
+      });
+    });
+
+    describe('when a key is duplicated', function() {
+      it('throws an error', function() {
+        expect(() => sut.diff(by_id, records(1, 1), records(1))).toThrow(/duplicate key: 1/);
+      });
+    });
+
+    describe('applying an unknown operation', function() {
+      it('throws an error', function() {
+        expect(() => sut.apply_patch([{ op: 'copy' }], [1])).toThrow(/unknown patch operation: copy/);
+      });
+    });
+  });
+
   describe('generating a set of items', function() {
     let results;
 
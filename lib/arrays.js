@@ -1,4 +1,19 @@
 import curry from '@developwithpassion/curry_js';
+import { reduced, is_reduced, unreduced } from './reduced';
+import { configure, setting } from './config';
+import { ensure_positive_integer, window_params } from './internal';
+import { is_missing_number } from './numeric';
+import {
+  any_value,
+  array_of,
+  callable,
+  check,
+  checked,
+  collection,
+  integer,
+  integer_or_infinity,
+  validated
+} from './validate';
 
 /**
  * A visitor processes each element in a data structure. A return value of false
@@ -6,12 +21,58 @@ import curry from '@developwithpassion/curry_js';
  * @callback each~Visitor
  * @param {any} item - Item that is currently being processed
  * @param {Number} [index] - Index of the item that is being processed
- * @param {Array} [target] - Array that is currently being iterated over
+ * @param {Array|Iterable} [target] - Array that is currently being iterated over. When iterating
+ * an iterable that is not indexable (Set, Map, generator, string), this is the iterable itself.
+ * When iterating a typed array, this is the typed array itself, unless the snapshot setting
+ * is turned on with {@link configure}.
  * @returns {undefined|Boolean} - Returning a value of false will cause the iterator to stop iterating
  */
 
-export const each_until = curry((visitor, target) => {
-  const items = Array.prototype.slice.call(target, 0);
+const is_indexable = target =>
+  target != null &&
+  typeof target !== 'string' &&
+  typeof target !== 'function' &&
+  typeof target.length === 'number';
+
+const is_iterable = target => target != null && typeof target[Symbol.iterator] === 'function';
+
+const as_array = target =>
+  is_indexable(target) ? Array.prototype.slice.call(target, 0) : Array.from(target);
+
+const is_typed_array = target => ArrayBuffer.isView(target) && !(target instanceof DataView);
+
+const visits_in_place = target => is_typed_array(target) && !setting('snapshot');
+
+const items_to_visit = target => (visits_in_place(target) ? target : as_array(target));
+
+const iterator_of = target => {
+  if (target == null) return [][Symbol.iterator]();
+  return is_iterable(target) ? target[Symbol.iterator]() : as_array(target)[Symbol.iterator]();
+};
+
+const visitor_and_target = { visitor: callable, target: collection };
+const condition_and_target = { condition: callable, target: collection };
+const constraint_and_target = { constraint: callable, target: collection };
+const mapper_and_target = { mapper: callable, target: collection };
+const comparer_and_target = { comparer: callable, target: collection };
+const count_and_target = { count: integer_or_infinity, target: collection };
+const predicate_and_target = { predicate: callable, target: collection };
+const both_targets = { other: collection, target: collection };
+const index_of_by_params = { mapper: callable, value: any_value, target: collection };
+const sort_by_params = { comparers: array_of(callable), target: collection };
+
+export const each_until = checked('each_until', visitor_and_target, (visitor, target) => {
+  if (!is_indexable(target) && is_iterable(target)) {
+    let index = 0;
+
+    for (const item of target) {
+      const continue_iteration = visitor(item, index++, target);
+      if (continue_iteration === false) return;
+    }
+    return;
+  }
+
+  const items = items_to_visit(target);
 
   for (let index = 0; index < items.length; index++) {
     const continue_iteration = visitor(items[index], index, items);
@@ -19,17 +80,22 @@ export const each_until = curry((visitor, target) => {
   }
 });
 
-export const each_in_reverse_until = curry((visitor, target) => {
-  const items = Array.prototype.slice.call(target, 0);
+export const each_in_reverse_until = checked(
+  'each_in_reverse_until',
+  visitor_and_target,
+  (visitor, target) => {
+    const items = items_to_visit(target);
+    const array = is_indexable(target) ? items : target;
 
-  for (let index = items.length - 1; index >= 0; index--) {
-    const continue_iteration = visitor(items[index], index, items);
-    if (continue_iteration === false) return;
+    for (let index = items.length - 1; index >= 0; index--) {
+      const continue_iteration = visitor(items[index], index, array);
+      if (continue_iteration === false) return;
+    }
   }
-});
+);
 
-const _each = direction =>
-  curry((visitor, target) =>
+const _each = (name, direction) =>
+  checked(name, visitor_and_target, (visitor, target) =>
     direction((...args) => {
       visitor(...args);
     }, target)
@@ -41,7 +107,7 @@ const _each = direction =>
  * @param {each~Visitor} visitor a function to invoke against each element in the array.
  *
  *
- * @param {Array} target for the function
+ * @param {Array|Iterable} target for the function
  *
  * @example <caption>Basic usage with a visitor that will log every element in the array</caption>
  * let numbers = [1,2,3,4]
@@ -56,7 +122,7 @@ const _each = direction =>
  * each_until((val) => { console.log(val); return val !== 5}, numbers)
  *
  */
-export const each = _each(each_until);
+export const each = _each('each', each_until);
 
 /**
  * This function is used to iterate and perform an action over every element in an array in reverse
@@ -64,7 +130,7 @@ export const each = _each(each_until);
  * @param {each~Vistor} visitor a function to invoke against each element in the array.
  *
  *
- * @param {Array} target for the function
+ * @param {Array|Iterable} target for the function
  *
  * @example <caption>Basic usage with a visitor that will log every element in the array</caption>
  * let numbers = [1,2,3,4]
@@ -79,7 +145,7 @@ export const each = _each(each_until);
  * each_in_reverse((val) => { console.log(val); return val !== 5}, numbers)
  *
  */
-export const each_in_reverse = _each(each_in_reverse_until);
+export const each_in_reverse = _each('each_in_reverse', each_in_reverse_until);
 
 /**
  * A reducer processes each element in a data structure and returns the result of processing
@@ -89,15 +155,29 @@ export const each_in_reverse = _each(each_in_reverse_until);
  * @param {any} item - Current item being processed
  * @param {Number} [index] - Index of the item that is being processed
  * @param {Array} [array] - Target array that is being processed
- * @returns {any} - Returns the accumulator value that was built up
+ * @returns {any} - Returns the accumulator value that was built up. Returning the value wrapped
+ * with {@link reduced} will stop the fold and make the wrapped value its result
  */
 
+const _reduce = direction =>
+  curry((initial_value, reducer, target) => {
+    let accumulator = initial_value;
+
+    direction((value, index, array) => {
+      accumulator = reducer(accumulator, value, index, array);
+      return !is_reduced(accumulator);
+    }, target);
+    return unreduced(accumulator);
+  });
+
 /**
- * Performs a {@link https://en.wikipedia.org/wiki/Fold_(higher-order_function) fold}
+ * Performs a {@link https://en.wikipedia.org/wiki/Fold_(higher-order_function) fold}.
+ * If the reducer returns a value wrapped with {@link reduced}, the remainder of the
+ * list will not be processed and the wrapped value becomes the result.
  *
  * @param {any} initial_value - The initial result of the accumulator
  * @param {reduce~Reducer} visitor a function to invoke against each element in the array.
- * @param {Array} target - Array containing items to be folded
+ * @param {Array|Iterable} target - Array containing items to be folded
  *
  * @example <caption>Summing all numbers in an array</caption>
  * let numbers = [1,2,3,4]
@@ -109,38 +189,65 @@ export const each_in_reverse = _each(each_in_reverse_until);
  * let result = reduce(true, (is_even, val) => is_even && val % 2 === 0, numbers)
  * console.log(result) // false
  *
+ * @example <caption>Summing numbers until the total goes past 5</caption>
+ * let numbers = [1,2,3,4]
+ * let result = reduce(0, (sum, val) => (sum > 5 ? reduced(sum) : sum + val), numbers)
+ * console.log(result) // 6
+ *
  */
-export const reduce = curry((initial_value, reducer, target) => {
-  let accumulator = initial_value;
+export const reduce = checked(
+  'reduce',
+  { initial_value: any_value, reducer: callable, target: collection },
+  _reduce(each_until)
+);
 
-  each((value, index, array) => {
-    accumulator = reducer(accumulator, value, index, array);
-  }, target);
-  return accumulator;
-});
+const first_match = (direction, condition, target) =>
+  _reduce(direction)(
+    null,
+    (result, item, index, array) => (condition(item, index, array) ? reduced({ item, index }) : result),
+    target
+  );
 
-const first_with_target = curry((direction, condition, target) => {
-  let result = null;
+const try_find = curry((direction, condition, target) => {
+  const match = target == null ? null : first_match(direction, condition, target);
+  return match === null ? { found: false, value: undefined } : { found: true, value: match.item };
+});
 
-  direction((...args) => {
-    const match = condition(...args);
+const index_of_match = direction =>
+  curry((condition, target) => {
+    const match = first_match(direction, condition, target);
+    return match === null ? -1 : match.index;
+  });
 
-    if (match) result = args[0];
+const with_optional_condition = (name, find) => (condition_or_target, ...rest) => {
+  if (typeof condition_or_target !== 'function') {
+    if (rest.length > 0) check(name, 'condition', callable, condition_or_target);
+    return find(() => true, condition_or_target);
+  }
+  const condition = condition_or_target;
 
-    return !match;
-  }, target);
+  return rest.length > 0 ? find(condition, rest.pop()) : find(condition);
+};
 
-  return result;
-});
+const find_in_direction = (name, direction) =>
+  with_optional_condition(
+    name,
+    checked(name, condition_and_target, (condition, target) => {
+      const { value } = try_find(direction, condition, target);
+      return value;
+    })
+  );
 
-const find_first_in_direction = direction => (condition_or_target, ...rest) => {
-  if (Array.isArray(condition_or_target)) return condition_or_target[0] || null;
-  if (condition_or_target == null) return null;
-  const condition = condition_or_target;
+const find_or_in_direction = (name, direction) => (default_value, ...args) => {
+  const find = with_optional_condition(
+    name,
+    checked(name, condition_and_target, (condition, target) => {
+      const { found, value } = try_find(direction, condition, target);
+      return found ? value : default_value;
+    })
+  );
 
-  return rest.length > 0
-    ? first_with_target(direction, condition, rest.pop())
-    : first_with_target(direction, condition);
+  return args.length === 0 ? find : find(...args);
 };
 
 /**
@@ -156,10 +263,12 @@ const find_first_in_direction = direction => (condition_or_target, ...rest) => {
  * Find the last item in an array.
  * If a {@link https://en.wikipedia.org/wiki/Predicate_(mathematical_logic) predicate}
  * is provided, the predicate will be used to find the last item that matches the predicate.
+ * Returns undefined when nothing matched. As an array may contain undefined itself, use
+ * {@link try_last} or {@link last_or} to tell a match apart from no match.
  *
  * @param {match~Predicate} [condition] - Condition used to match the item, if not provided
  * last will return the last element in the array
- * @param {Array} target - Array containing items to be checked
+ * @param {Array|Iterable} target - Array containing items to be checked
  *
  * @example <caption>Get the last item in the array</caption>
  * let numbers = [1,2,3,4]
@@ -172,16 +281,18 @@ const find_first_in_direction = direction => (condition_or_target, ...rest) => {
  * console.log(result) // 8
  *
  */
-export const last = find_first_in_direction(each_in_reverse_until);
+export const last = find_in_direction('last', each_in_reverse_until);
 
 /**
  * Find the first item in an array.
  * If a {@link https://en.wikipedia.org/wiki/Predicate_(mathematical_logic) predicate}
  * is provided, the predicate will be used to find the first item that matches the predicate.
+ * Returns undefined when nothing matched. As an array may contain undefined itself, use
+ * {@link try_first} or {@link first_or} to tell a match apart from no match.
  *
  * @param {match~Predicate} [condition] - Condition used to match the item, if not provided
  * first will return the first element in the array
- * @param {Array} target - Array containing items to be checked
+ * @param {Array|Iterable} target - Array containing items to be checked
  *
  * @example <caption>Get the first item in the array</caption>
  * let numbers = [1,2,3,4]
@@ -194,14 +305,84 @@ export const last = find_first_in_direction(each_in_reverse_until);
  * console.log(result) // 2
  *
  */
-export const first = find_first_in_direction(each_until);
+export const first = find_in_direction('first', each_until);
+
+/**
+ * The result of searching for an item
+ * @typedef {Object} find~Result
+ * @property {Boolean} found - Whether an item matched
+ * @property {any} value - The matching item, or undefined when nothing matched
+ */
+
+/**
+ * Same as {@link first}, but the result tells whether an item was found, so arrays containing
+ * falsy items such as 0, '', false or null can be searched safely.
+ *
+ * @param {match~Predicate} [condition] - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to be checked
+ * @returns {find~Result} - The result of the search
+ *
+ * @example <caption>Find a zero</caption>
+ * let result = try_first(val => val === 0, [1, 0]);
+ * console.log(result) // { found: true, value: 0 }
+ *
+ */
+export const try_first = with_optional_condition(
+  'try_first',
+  checked('try_first', condition_and_target, try_find(each_until))
+);
+
+/**
+ * Same as {@link last}, but the result tells whether an item was found.
+ *
+ * @param {match~Predicate} [condition] - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to be checked
+ * @returns {find~Result} - The result of the search
+ *
+ * @example <caption>Get the last item of an empty array</caption>
+ * let result = try_last([]);
+ * console.log(result) // { found: false, value: undefined }
+ *
+ */
+export const try_last = with_optional_condition(
+  'try_last',
+  checked('try_last', condition_and_target, try_find(each_in_reverse_until))
+);
+
+/**
+ * Same as {@link first}, but returns the default value when nothing matched.
+ *
+ * @param {any} default_value - Value to return when nothing matched
+ * @param {match~Predicate} [condition] - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to be checked
+ *
+ * @example <caption>Get the first even number, or 0 when there is none</caption>
+ * let result = first_or(0, val => val % 2 === 0, [1, 3]);
+ * console.log(result) // 0
+ *
+ */
+export const first_or = find_or_in_direction('first_or', each_until);
+
+/**
+ * Same as {@link last}, but returns the default value when nothing matched.
+ *
+ * @param {any} default_value - Value to return when nothing matched
+ * @param {match~Predicate} [condition] - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to be checked
+ *
+ * @example <caption>Get the last item, or 'none' for an empty array</caption>
+ * let result = last_or('none', []);
+ * console.log(result) // 'none'
+ *
+ */
+export const last_or = find_or_in_direction('last_or', each_in_reverse_until);
 
 /**
  * Determine if any items in the array match the predicate. As soon as a match
  * is found, the remainder of the list will not be processed.
  *
  * @param {match~Predicate} [condition] - Condition used to match the item
- * @param {Array} target - Array containing items to be checked
+ * @param {Array|Iterable} target - Array containing items to be checked
  *
  * @example <caption>Check if any numbers in an array are greater than 0</caption>
  * let numbers = [1,2,3,4]
@@ -209,14 +390,16 @@ export const first = find_first_in_direction(each_until);
  * console.log(result) // true
  *
  */
-export const any = curry((condition, target) => !!first(condition, target));
+export const any = checked('any', condition_and_target, (condition, target) =>
+  reduce(false, (result, ...args) => (condition(...args) ? reduced(true) : result), target)
+);
 
 /**
  * Determine if none of the items in the array match the predicate. As soon as a match
  * is found, the remainder of the list will not be processed.
  *
  * @param {match~Predicate} [condition] - Condition used to match the item
- * @param {Array} target - Array containing items to be checked
+ * @param {Array|Iterable} target - Array containing items to be checked
  *
  * @example <caption>Check if none of the numbers are greater than 0</caption>
  * let numbers = [1,2,3,4]
@@ -224,14 +407,14 @@ export const any = curry((condition, target) => !!first(condition, target));
  * console.log(result) // false
  *
  */
-export const none = curry((condition, target) => !any(condition, target));
+export const none = checked('none', condition_and_target, (condition, target) => !any(condition, target));
 
 /**
  * Determine if all of the items in the array match the predicate. As soon as a match
  * is not found, the remainder of the list will not be processed.
  *
  * @param {match~Predicate} [condition] - Condition used to match the item
- * @param {Array} target - Array containing items to be checked
+ * @param {Array|Iterable} target - Array containing items to be checked
  *
  * @example <caption>Check if all of the numbers are even</caption>
  * let numbers = [1,2,3,4]
@@ -239,8 +422,61 @@ export const none = curry((condition, target) => !any(condition, target));
  * console.log(result) // false
  *
  */
-export const all = curry((condition, target) =>
-  reduce(true, (acc, ...args) => acc && condition(...args), target)
+export const all = checked('all', condition_and_target, (condition, target) =>
+  reduce(true, (result, ...args) => (condition(...args) ? result : reduced(false)), target)
+);
+
+/**
+ * Find the index of the first item that matches the predicate. As soon as a match is found,
+ * the remainder of the list will not be processed.
+ *
+ * @param {match~Predicate} condition - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to be checked
+ * @returns {Number} - Index of the first matching item, or -1 when no item matches
+ *
+ * @example <caption>Find the position of the first even number</caption>
+ * let result = find_index(val => val % 2 === 0, [1, 3, 4, 6]);
+ * console.log(result) // 2
+ *
+ */
+export const find_index = checked('find_index', condition_and_target, index_of_match(each_until));
+
+/**
+ * Find the index of the last item that matches the predicate. The array is processed from
+ * the end, and as soon as a match is found, the remainder of the list will not be processed.
+ *
+ * @param {match~Predicate} condition - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to be checked
+ * @returns {Number} - Index of the last matching item, or -1 when no item matches
+ *
+ * @example <caption>Find the position of the last even number</caption>
+ * let result = find_last_index(val => val % 2 === 0, [1, 3, 4, 6, 7]);
+ * console.log(result) // 3
+ *
+ */
+export const find_last_index = checked(
+  'find_last_index',
+  condition_and_target,
+  index_of_match(each_in_reverse_until)
+);
+
+/**
+ * Find the index of the first item whose mapped value is the value being searched for. Values
+ * are compared using {@link https://tc39.es/ecma262/#sec-samevaluezero SameValueZero}, so NaN
+ * can be found.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value to compare
+ * @param {any} value - Value to search for
+ * @param {Array|Iterable} target - Array containing items to be checked
+ * @returns {Number} - Index of the first matching item, or -1 when no item matches
+ *
+ * @example <caption>Find the position of the person with an id</caption>
+ * let result = index_of_by(({id}) => id, 2, [{ id: 1 }, { id: 2 }]);
+ * console.log(result) // 1
+ *
+ */
+export const index_of_by = checked('index_of_by', index_of_by_params, (mapper, value, target) =>
+  find_index((item, ...args) => same_value_zero(mapper(item, ...args), value), target)
 );
 
 /**
@@ -248,7 +484,7 @@ export const all = curry((condition, target) =>
  * the predicate.
  *
  * @param {match~Predicate} constraint - Condition used to match the item
- * @param {Array} target - Array containing items to be checked
+ * @param {Array|Iterable} target - Array containing items to be checked
  *
  * @example <caption>Filter for all even numbers</caption>
  * let numbers = [1,2,3,4]
@@ -256,7 +492,7 @@ export const all = curry((condition, target) =>
  * console.log(result) // [2, 4]
  *
  */
-export const filter = curry((constraint, target) =>
+export const filter = checked('filter', constraint_and_target, (constraint, target) =>
   reduce(
     [],
     (acc, val, ...args) => {
@@ -282,7 +518,7 @@ export const filter = curry((constraint, target) =>
  * array containing the results of each map operation.
  *
  * @param {map~Mapper} constraint - Condition used to match the item
- * @param {Array} target - Array containing items to be checked
+ * @param {Array|Iterable} target - Array containing items to be checked
  *
  * @example <caption>Double all numbers in an array</caption>
  * let numbers = [1,2,3,4]
@@ -290,7 +526,7 @@ export const filter = curry((constraint, target) =>
  * console.log(result) // [2, 4, 6, 8]
  *
  */
-export const map = curry((mapper, target) =>
+export const map = checked('map', mapper_and_target, (mapper, target) =>
   reduce(
     [],
     (acc, ...args) => {
@@ -301,28 +537,106 @@ export const map = curry((mapper, target) =>
   )
 );
 
+/**
+ * Same as {@link map}, but when the target is a typed array the result is a typed array of the
+ * same kind, so mapped values are converted the same way as when assigning to the target (for
+ * example, truncated to integers for an Int32Array). For any other target, the result is an array.
+ *
+ * @param {map~Mapper} mapper - Mapper invoked with the item, its index and the array
+ * @param {Array|TypedArray|Iterable} target - Array containing items to be mapped
+ *
+ * @example <caption>Scale sensor samples</caption>
+ * let samples = new Float64Array([0.5, 1.5]);
+ * let result = map_typed(val => val * 2, samples);
+ * console.log(result) // Float64Array [1, 3]
+ *
+ */
+export const map_typed = checked('map_typed', mapper_and_target, (mapper, target) => {
+  if (!is_typed_array(target)) return map(mapper, target);
+
+  const results = new target.constructor(target.length);
+  each((value, index, array) => {
+    results[index] = mapper(value, index, array);
+  }, target);
+  return results;
+});
+
+/**
+ * Same as {@link filter}, but when the target is a typed array the result is a typed array of
+ * the same kind. For any other target, the result is an array.
+ *
+ * @param {match~Predicate} constraint - Condition used to match the item
+ * @param {Array|TypedArray|Iterable} target - Array containing items to be checked
+ *
+ * @example <caption>Keep the positive sensor samples</caption>
+ * let samples = new Float64Array([-0.5, 1.5]);
+ * let result = filter_typed(val => val > 0, samples);
+ * console.log(result) // Float64Array [1.5]
+ *
+ */
+export const filter_typed = checked('filter_typed', constraint_and_target, (constraint, target) => {
+  if (!is_typed_array(target)) return filter(constraint, target);
+
+  const results = new target.constructor(target.length);
+  let count = 0;
+  each((value, index, array) => {
+    if (constraint(value, index, array)) results[count++] = value;
+  }, target);
+  return results.slice(0, count);
+});
+
 /**
  * Perform a map over each item in the array, results of a map operation
  * will be flattened to a singular array, in the event that each map
- * operation itself results in an array result.
+ * operation itself results in an array result. Only one level of arrays is flattened.
  *
- * @param {map~Mapper} constraint - Condition used to match the item
- * @param {Array} target - Array containing items to be checked
+ * @param {map~Mapper} mapper - Mapper invoked with the item, its index and the array
+ * @param {Array|Iterable} target - Array containing items to be checked
  *
  * @example <caption>Gets an array of the numbers with their doubles</caption>
  * let numbers = [1,2,3,4]
- * let result = map(val => [val, val * 2], numbers);
+ * let result = flat_map(val => [val, val * 2], numbers);
  * console.log(result) // [1, 2, 2, 4, 3, 6, 4 , 8]
  *
  */
-export const flat_map = curry((mapper, target) =>
-  reduce([], (results, next_item) => results.concat(mapper(next_item)), target)
+export const flat_map = checked('flat_map', mapper_and_target, (mapper, target) =>
+  reduce(
+    [],
+    (results, ...args) => {
+      const mapped = mapper(...args);
+
+      if (!Array.isArray(mapped)) results.push(mapped);
+      else for (let index = 0; index < mapped.length; index++) results.push(mapped[index]);
+      return results;
+    },
+    target
+  )
 );
 
+const is_nested = item => typeof item !== 'string' && is_iterable(item);
+
+const flatten_to_depth = (depth, target) => {
+  const results = [];
+  const pending = [{ iterator: iterator_of(target), depth }];
+
+  while (pending.length > 0) {
+    const current = pending[pending.length - 1];
+    const step = current.iterator.next();
+
+    if (step.done) pending.pop();
+    else if (current.depth > 0 && is_nested(step.value))
+      pending.push({ iterator: iterator_of(step.value), depth: current.depth - 1 });
+    else results.push(step.value);
+  }
+  return results;
+};
+
 /**
- * Flatten an array that may contain nested arrays into a singular array
+ * Flatten an array that may contain nested arrays into a singular array. Any nested iterable
+ * (Set, generator, typed array) other than a string is flattened as well. Nesting is handled
+ * without recursion, so deeply nested input will not overflow the stack.
  *
- * @param {Array} target - Array that may contain nested arrays
+ * @param {Array|Iterable} target - Array that may contain nested arrays
  *
  * @example <caption>Gets an array of the numbers with their doubles</caption>
  * let numbers = [1, 2, [4, 5, 6, [7, 8, 9]]];
@@ -330,19 +644,55 @@ export const flat_map = curry((mapper, target) =>
  * console.log(result) // [1, 2, 4, 5, 6, 7, 8, 9]
  *
  */
-export const flatten = flat_map(item => (Array.isArray(item) ? flatten(item) : [item]));
+export const flatten = validated('flatten', { target: collection }, target =>
+  flatten_to_depth(Infinity, target)
+);
 
-const uniq_with_target_and_mapper = curry((mapper, target) =>
-  filter((value, index) => {
-    const mapped = mapper(value);
-    const first_matching_index = target.findIndex(value => mapper(value) === mapped);
-    return index === first_matching_index;
-  }, target)
+/**
+ * Same as {@link flatten}, but only flattens up to depth levels of nesting.
+ *
+ * @param {Number} depth - Number of levels of nesting to flatten
+ * @param {Array|Iterable} target - Array that may contain nested arrays
+ *
+ * @example <caption>Flatten a single level of nesting</caption>
+ * let numbers = [1, [2, [3, [4]]]];
+ * let result = flatten_depth(1, numbers);
+ * console.log(result) // [1, 2, [3, [4]]]
+ *
+ */
+export const flatten_depth = checked(
+  'flatten_depth',
+  { depth: integer_or_infinity, target: collection },
+  (depth, target) => flatten_to_depth(depth, target)
 );
 
+const uniq_in_direction = direction =>
+  curry((mapper, target) => {
+    const seen = new Set();
+    const results = [];
+
+    direction((value, ...args) => {
+      const key = mapper(value, ...args);
+      if (seen.has(key)) return;
+
+      seen.add(key);
+      results.push(value);
+    }, target);
+
+    return results;
+  });
+
+const with_optional_mapper = fn => (mapper_or_target, ...args) =>
+  args.length === 0 && typeof mapper_or_target !== 'function'
+    ? fn(val => val, mapper_or_target)
+    : fn(mapper_or_target, ...args);
+
 /**
- * Return all unique items in an array. If a mapper is provided, the result of the mapper
- * will become the selector that is used to determine uniqueness.
+ * Return all unique items in an array, keeping the first occurrence of each. If a mapper is
+ * provided, the result of the mapper will become the selector that is used to determine uniqueness.
+ * Keys are compared using {@link https://tc39.es/ecma262/#sec-samevaluezero SameValueZero}
+ * (the same rules as a Set), so the array is processed in linear time and the mapper is
+ * only invoked once per item. Use {@link uniq_with} for structural or custom equality.
  *
  * @param {Array | map~Mapper} mapper_or_target - If a mapper is provided, the result
  * of the mapper will become the value for the uniqueness check. If no mapper
@@ -365,136 +715,2024 @@ const uniq_with_target_and_mapper = curry((mapper, target) =>
  * console.log(result) // [ {..., name: 'Person 1}, { ..., name: 'Person 3'}, { ..., name: 'Person 4'} ]
  *
  */
-export const uniq = (mapper_or_target, ...args) =>
-  args.length === 0 && Array.isArray(mapper_or_target)
-    ? uniq_with_target_and_mapper(val => val, mapper_or_target)
-    : uniq_with_target_and_mapper(mapper_or_target, ...args);
+export const uniq = with_optional_mapper(checked('uniq', mapper_and_target, uniq_in_direction(each)));
+
+const uniq_last_with_target_and_mapper = curry((mapper, target) =>
+  uniq_in_direction(each_in_reverse)(mapper, target).reverse()
+);
 
 /**
- * Return max of all items in the array using the mapper to
- * map the value being used for the calculation
+ * Same as {@link uniq}, but keeps the last occurrence of each item instead of the first.
+ * The items are returned in the order that they appear in the array.
  *
- * @param {map~Mapper} mapper - Mapper used to map the value used for
- * the max calculation.
- * @param {Array} target - Target array
- *
- * @example <caption>Get the max number in an array</caption>
- * let numbers = [1, 2, 3, 10, 5];
- * let result = max(val => val, numbers);
- * console.log(result) // 10
+ * @param {Array | map~Mapper} mapper_or_target - If a mapper is provided, the result
+ * of the mapper will become the value for the uniqueness check.
  *
- * @example <caption>Get the age of the oldest person</caption>
- * let people = [
- *   { name: 'Person 1', age: 10 },
- *   { name: 'Person 2', age: 10 },
- *   { name: 'Person 3', age: 11 },
- *   { name: 'Person 4', age: 12 },
+ * @example <caption>Gets the latest reading for each sensor</caption>
+ * let readings = [
+ *   { sensor: 'a', value: 1 },
+ *   { sensor: 'b', value: 2 },
+ *   { sensor: 'a', value: 3 },
  * ];
- * let result = max(({age}) => age, people);
- * console.log(result) // 12
+ * let result = uniq_by_last(({sensor}) => sensor, readings);
+ * console.log(result) // [ { sensor: 'b', value: 2 }, { sensor: 'a', value: 3 } ]
+ *
+ */
+export const uniq_by_last = with_optional_mapper(
+  checked('uniq_by_last', mapper_and_target, uniq_last_with_target_and_mapper)
+);
+
+/**
+ * @callback uniq~Equals
+ * @param {any} a - first item to compare
+ * @param {any} b - second item to compare
+ * @returns {Boolean} - Whether the items should be considered equal
+ */
+
+/**
+ * Return all unique items in an array, using a function to determine whether two items are
+ * equal. The first occurrence of each item is kept. As items can't be hashed, every item is
+ * compared against the unique items found so far, so prefer {@link uniq} with a mapper when
+ * a key can be derived from each item.
+ *
+ * @param {uniq~Equals} equals - Function used to determine if two items are equal
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Gets the structurally unique points</caption>
+ * let points = [{ x: 1, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 1 }];
+ * let result = uniq_with(deep_equals, points);
+ * console.log(result) // [ { x: 1, y: 2 }, { x: 2, y: 1 } ]
  *
  */
-export const max = curry((mapper, target) =>
+export const uniq_with = checked('uniq_with', { equals: callable, target: collection }, (equals, target) =>
   reduce(
-    0,
-    (max_value, ...args) => {
-      const item_value = mapper(...args);
-      return item_value > max_value ? item_value : max_value;
+    [],
+    (results, value) => {
+      if (none(existing => equals(existing, value), results)) results.push(value);
+      return results;
     },
     target
   )
 );
 
+const same_value_zero = (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b));
+
+const entries_equal = (a, b, compared) =>
+  a.length === b.length && all((value, index) => equal_values(value, b[index], compared), a);
+
+const already_compared = (a, b, compared) => {
+  if (!compared.has(a)) compared.set(a, new Set());
+  if (compared.get(a).has(b)) return true;
+
+  compared.get(a).add(b);
+  return false;
+};
+
+const equal_values = (a, b, compared) => {
+  if (same_value_zero(a, b)) return true;
+  if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  if (a instanceof Date) return a.getTime() === b.getTime();
+  if (already_compared(a, b, compared)) return true;
+  if (Array.isArray(a)) return entries_equal(a, b, compared);
+  if (a instanceof Map || a instanceof Set) return entries_equal(Array.from(a), Array.from(b), compared);
+
+  const keys = Object.keys(a);
+  const same_property = key =>
+    Object.prototype.hasOwnProperty.call(b, key) && equal_values(a[key], b[key], compared);
+
+  return keys.length === Object.keys(b).length && all(same_property, keys);
+};
+
 /**
- * Return min of all items in the array using the mapper to
- * map the value being used for the calculation
- *
- * @param {map~Mapper} mapper - Mapper used to map the value used for
- * the min calculation.
- * @param {Array} target - Target array
+ * Structural equality. Primitives are compared using SameValueZero, Dates by their time,
+ * arrays, Maps and Sets by their items (in iteration order), and other objects by their own
+ * enumerable properties. Objects with different prototypes are never equal. Structures that
+ * refer back to themselves are supported: a pair of objects that is reached again while it is
+ * being compared is treated as equal, so the rest of the structure decides the result.
  *
- * @example <caption>Get the min number in an array</caption>
- * let numbers = [1, 2, 3, 10, 5];
- * let result = min(val => val, numbers);
- * console.log(result) // 1
+ * @param {any} a - first item to compare
+ * @param {any} b - second item to compare
+ * @returns {Boolean} - Whether the two items are structurally equal
  *
- * @example <caption>Get the age of the youngest person</caption>
- * let people = [
- *   { name: 'Person 1', age: 10 },
- *   { name: 'Person 2', age: 10 },
- *   { name: 'Person 3', age: 11 },
- *   { name: 'Person 4', age: 12 },
- * ];
- * let result = min(({age}) => age, people);
- * console.log(result) // 10
+ * @example <caption>Compare two objects</caption>
+ * let result = deep_equals({ a: [1, 2] }, { a: [1, 2] });
+ * console.log(result) // true
  *
  */
-export const min = curry((value_resolver, target) => {
-  let processingFirstElement = true;
-
-  return reduce(
-    0,
-    (min_value, ...args) => {
-      let item_value = value_resolver(...args);
+export const deep_equals = curry((a, b) => equal_values(a, b, new Map()));
 
-      if (processingFirstElement) {
-        processingFirstElement = false;
-        return item_value;
-      }
+const by_key = mapper => ({
+  contains: items => {
+    const keys = new Set(map(item => mapper(item), items));
+    return item => keys.has(mapper(item));
+  },
+  uniq: items => uniq(item => mapper(item), items)
+});
 
-      return item_value < min_value ? item_value : min_value;
-    },
-    target
-  );
+const by_equality = equals => ({
+  contains: items => item => any(existing => equals(existing, item), items),
+  uniq: items => uniq_with(equals, items)
 });
 
-const default_comparer = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const same_item = by_key(val => val);
+
+const missing_as_empty = operation => (strategy, other, target) =>
+  operation(strategy, other == null ? [] : other, target == null ? [] : target);
 
-const sort_with_comparer_and_target = curry((comparer, target) => {
-  const target_to_sort = target || [];
-  const results = target_to_sort.slice(0);
+const _union = missing_as_empty((strategy, other, target) =>
+  strategy.uniq(as_array(target).concat(as_array(other)))
+);
 
-  results.sort(comparer);
+const _intersect = missing_as_empty((strategy, other, target) =>
+  strategy.uniq(filter(strategy.contains(other), target))
+);
 
-  return results;
+const _subtract = missing_as_empty((strategy, other, target) => {
+  const contains = strategy.contains(other);
+  return strategy.uniq(filter(item => !contains(item), target));
 });
 
+const _exclusive = (strategy, other, target) =>
+  strategy.uniq(_subtract(strategy, other, target).concat(_subtract(strategy, target, other)));
+
 /**
- * @callback sort~Comparer
- * @param {any} a - first item to compare
- * @param {any} b - second item to compar
- * @returns {Number} - Result of the comparison
+ * Return the unique items that are in either the target or the other array. The items
+ * from the target come first, followed by the items only found in the other array.
+ * Items are compared using SameValueZero, in linear time. A null or undefined array is
+ * treated as empty.
+ *
+ * @param {Array|Iterable} other - Items to combine with the target
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Combine two sets of numbers</caption>
+ * let result = union([3, 4], [1, 2, 3]);
+ * console.log(result) // [1, 2, 3, 4]
+ *
  */
+export const union = checked('union', both_targets, (other, target) => _union(same_item, other, target));
 
 /**
- * Sorts an array using an optional comparer. Does not modify the
- * original list, rather returns a new array containing the results
- * sorted using the comparer
+ * Same as {@link union}, but the result of the mapper is used to compare items. The first
+ * item found for each key is kept.
  *
- * @param {Array | sort~Comparer} comparer_or_target - If a comparer is provided,
- * the comparer will be used to perform the comparison of items to one another.
- * If a comparer is not provided, the default comparer will be used.
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} other - Items to combine with the target
+ * @param {Array|Iterable} target - Array containing the items
  *
- * @example <caption>Sort all numbers in an array</caption>
- * let numbers = [4, 2, 1, 10, 5];
- * let result = sort(numbers);
- * console.log(result) // [1, 2, 4, 5, 10]
+ * @example <caption>Combine the records from the server with the local records</caption>
+ * let result = union_by(({id}) => id, server_records, local_records);
  *
- * @example <caption>Sort all numbers in an array descending</caption>
- * let numbers = [4, 2, 1, 10, 5];
- * let result = sort((a,b) => b - a, numbers);
- * console.log(result) // [10, 5, 4, 2, 1]
+ */
+export const union_by = checked(
+  'union_by',
+  { mapper: callable, other: collection, target: collection },
+  (mapper, other, target) => _union(by_key(mapper), other, target)
+);
+
+/**
+ * Same as {@link union}, but the equality function is used to compare items.
+ *
+ * @param {uniq~Equals} equals - Function used to determine if two items are equal
+ * @param {Array|Iterable} other - Items to combine with the target
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Combine two sets of points</caption>
+ * let result = union_with(deep_equals, [{ x: 1 }], [{ x: 1 }, { x: 2 }]);
+ * console.log(result) // [{ x: 1 }, { x: 2 }]
  *
  */
-export const sort = (comparer_or_target, ...args) => {
-  if (comparer_or_target == null) return [];
-  if (Array.isArray(comparer_or_target))
-    return sort_with_comparer_and_target(default_comparer, comparer_or_target);
+export const union_with = checked(
+  'union_with',
+  { equals: callable, other: collection, target: collection },
+  (equals, other, target) => _union(by_equality(equals), other, target)
+);
 
-  return sort_with_comparer_and_target(comparer_or_target, ...args);
-};
+/**
+ * Return the unique items in the target that are also in the other array, in the
+ * order they appear in the target. Items are compared using SameValueZero, in linear time.
+ * A null or undefined array is treated as empty.
+ *
+ * @param {Array|Iterable} other - Items to look for
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Get the numbers in both arrays</caption>
+ * let result = intersection([3, 4, 1], [1, 2, 3]);
+ * console.log(result) // [1, 3]
+ *
+ */
+export const intersection = checked('intersection', both_targets, (other, target) =>
+  _intersect(same_item, other, target)
+);
+
+/**
+ * Same as {@link intersection}, but the result of the mapper is used to compare items.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} other - Items to look for
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Get the local records that also exist on the server</caption>
+ * let result = intersection_by(({id}) => id, server_records, local_records);
+ *
+ */
+export const intersection_by = checked(
+  'intersection_by',
+  { mapper: callable, other: collection, target: collection },
+  (mapper, other, target) => _intersect(by_key(mapper), other, target)
+);
+
+/**
+ * Same as {@link intersection}, but the equality function is used to compare items.
+ *
+ * @param {uniq~Equals} equals - Function used to determine if two items are equal
+ * @param {Array|Iterable} other - Items to look for
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Get the points in both arrays</caption>
+ * let result = intersection_with(deep_equals, [{ x: 1 }], [{ x: 1 }, { x: 2 }]);
+ * console.log(result) // [{ x: 1 }]
+ *
+ */
+export const intersection_with = checked(
+  'intersection_with',
+  { equals: callable, other: collection, target: collection },
+  (equals, other, target) => _intersect(by_equality(equals), other, target)
+);
+
+/**
+ * Return the unique items in the target that are not in the other array, in the order
+ * they appear in the target. Items are compared using SameValueZero, in linear time.
+ * A null or undefined array is treated as empty.
+ *
+ * @param {Array|Iterable} other - Items to leave out
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Remove some numbers</caption>
+ * let result = difference([2, 4], [1, 2, 3]);
+ * console.log(result) // [1, 3]
+ *
+ */
+export const difference = checked('difference', both_targets, (other, target) =>
+  _subtract(same_item, other, target)
+);
+
+/**
+ * Same as {@link difference}, but the result of the mapper is used to compare items.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} other - Items to leave out
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Get the local records that have not been sent to the server</caption>
+ * let result = difference_by(({id}) => id, server_records, local_records);
+ *
+ */
+export const difference_by = checked(
+  'difference_by',
+  { mapper: callable, other: collection, target: collection },
+  (mapper, other, target) => _subtract(by_key(mapper), other, target)
+);
+
+/**
+ * Same as {@link difference}, but the equality function is used to compare items.
+ *
+ * @param {uniq~Equals} equals - Function used to determine if two items are equal
+ * @param {Array|Iterable} other - Items to leave out
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Remove some points</caption>
+ * let result = difference_with(deep_equals, [{ x: 1 }], [{ x: 1 }, { x: 2 }]);
+ * console.log(result) // [{ x: 2 }]
+ *
+ */
+export const difference_with = checked(
+  'difference_with',
+  { equals: callable, other: collection, target: collection },
+  (equals, other, target) => _subtract(by_equality(equals), other, target)
+);
+
+/**
+ * Return the unique items that are in only one of the target and the other array. The
+ * items from the target come first, followed by the items only found in the other array.
+ * Items are compared using SameValueZero, in linear time. A null or undefined array is
+ * treated as empty.
+ *
+ * @param {Array|Iterable} other - Items to compare with the target
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Get the numbers that are in only one of the arrays</caption>
+ * let result = symmetric_difference([3, 4], [1, 2, 3]);
+ * console.log(result) // [1, 2, 4]
+ *
+ */
+export const symmetric_difference = checked('symmetric_difference', both_targets, (other, target) =>
+  _exclusive(same_item, other, target)
+);
+
+/**
+ * Same as {@link symmetric_difference}, but the result of the mapper is used to compare items.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} other - Items to compare with the target
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Get the records that only exist on one side</caption>
+ * let result = symmetric_difference_by(({id}) => id, server_records, local_records);
+ *
+ */
+export const symmetric_difference_by = checked(
+  'symmetric_difference_by',
+  { mapper: callable, other: collection, target: collection },
+  (mapper, other, target) => _exclusive(by_key(mapper), other, target)
+);
+
+/**
+ * Same as {@link symmetric_difference}, but the equality function is used to compare items.
+ *
+ * @param {uniq~Equals} equals - Function used to determine if two items are equal
+ * @param {Array|Iterable} other - Items to compare with the target
+ * @param {Array|Iterable} target - Array containing the items
+ *
+ * @example <caption>Get the points that are in only one of the arrays</caption>
+ * let result = symmetric_difference_with(deep_equals, [{ x: 1 }, { x: 3 }], [{ x: 1 }, { x: 2 }]);
+ * console.log(result) // [{ x: 2 }, { x: 3 }]
+ *
+ */
+export const symmetric_difference_with = checked(
+  'symmetric_difference_with',
+  { equals: callable, other: collection, target: collection },
+  (equals, other, target) => _exclusive(by_equality(equals), other, target)
+);
+
+const map_keys = {
+  create: () => new Map(),
+  has: (keyed, key) => keyed.has(key),
+  get: (keyed, key) => keyed.get(key),
+  set: (keyed, key, value) => keyed.set(key, value)
+};
+
+const object_keys = {
+  create: () => ({}),
+  has: (keyed, key) => Object.prototype.hasOwnProperty.call(keyed, key),
+  get: (keyed, key) => keyed[key],
+  set: (keyed, key, value) => {
+    keyed[key] = value;
+    return keyed;
+  }
+};
+
+const _group_by = keys =>
+  curry((mapper, target) =>
+    reduce(
+      keys.create(),
+      (groups, value, ...args) => {
+        const key = mapper(value, ...args);
+
+        if (!keys.has(groups, key)) keys.set(groups, key, []);
+        keys.get(groups, key).push(value);
+        return groups;
+      },
+      target
+    )
+  );
+
+const _index_by = keys =>
+  curry((mapper, target) =>
+    reduce(
+      keys.create(),
+      (indexed, value, ...args) => keys.set(indexed, mapper(value, ...args), value),
+      target
+    )
+  );
+
+const _count_by = keys =>
+  curry((mapper, target) =>
+    reduce(
+      keys.create(),
+      (counts, value, ...args) => {
+        const key = mapper(value, ...args);
+        return keys.set(counts, key, keys.has(counts, key) ? keys.get(counts, key) + 1 : 1);
+      },
+      target
+    )
+  );
+
+/**
+ * Group the items in an array by the key produced by the mapper. The result is a Map
+ * from each key to an array of the items that produced it, with the keys in the order
+ * they were first seen. Use {@link group_by_object} to get a plain object instead.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} target - Array containing items to be grouped
+ *
+ * @example <caption>Group people by age</caption>
+ * let people = [
+ *   { name: 'Person 1', age: 10 },
+ *   { name: 'Person 2', age: 11 },
+ *   { name: 'Person 3', age: 10 },
+ * ];
+ * let result = group_by(({age}) => age, people);
+ * console.log(result.get(10)) // [ { ..., name: 'Person 1'}, { ..., name: 'Person 3'} ]
+ *
+ */
+export const group_by = checked('group_by', mapper_and_target, _group_by(map_keys));
+
+/**
+ * Same as {@link group_by}, but the result is a plain object. Keys are converted to strings, and
+ * follow the property ordering rules for objects (integer-like keys come first).
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} target - Array containing items to be grouped
+ *
+ * @example <caption>Group words by their first letter</caption>
+ * let result = group_by_object(word => word[0], ['apple', 'bean', 'avocado']);
+ * console.log(result) // { a: ['apple', 'avocado'], b: ['bean'] }
+ *
+ */
+export const group_by_object = checked('group_by_object', mapper_and_target, _group_by(object_keys));
+
+/**
+ * Index the items in an array by the key produced by the mapper. The result is a Map from
+ * each key to the item that produced it. When more than one item produces the same key,
+ * the last one wins. Use {@link index_by_object} to get a plain object instead.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} target - Array containing items to be indexed
+ *
+ * @example <caption>Index people by id</caption>
+ * let people = [{ id: 1, name: 'Person 1' }, { id: 2, name: 'Person 2' }];
+ * let result = index_by(({id}) => id, people);
+ * console.log(result.get(2)) // { id: 2, name: 'Person 2' }
+ *
+ */
+export const index_by = checked('index_by', mapper_and_target, _index_by(map_keys));
+
+/**
+ * Same as {@link index_by}, but the result is a plain object.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} target - Array containing items to be indexed
+ *
+ * @example <caption>Index people by id</caption>
+ * let people = [{ id: 1, name: 'Person 1' }, { id: 2, name: 'Person 2' }];
+ * let result = index_by_object(({id}) => id, people);
+ * console.log(result[2]) // { id: 2, name: 'Person 2' }
+ *
+ */
+export const index_by_object = checked('index_by_object', mapper_and_target, _index_by(object_keys));
+
+/**
+ * Count the items in an array by the key produced by the mapper. The result is a Map from
+ * each key to the number of items that produced it. Use {@link count_by_object} to get a
+ * plain object instead.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} target - Array containing items to be counted
+ *
+ * @example <caption>Count even and odd numbers</caption>
+ * let result = count_by(val => (val % 2 === 0 ? 'even' : 'odd'), [1, 2, 3]);
+ * console.log(result) // Map { 'odd' => 2, 'even' => 1 }
+ *
+ */
+export const count_by = checked('count_by', mapper_and_target, _count_by(map_keys));
+
+/**
+ * Same as {@link count_by}, but the result is a plain object.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} target - Array containing items to be counted
+ *
+ * @example <caption>Count even and odd numbers</caption>
+ * let result = count_by_object(val => (val % 2 === 0 ? 'even' : 'odd'), [1, 2, 3]);
+ * console.log(result) // { odd: 2, even: 1 }
+ *
+ */
+export const count_by_object = checked('count_by_object', mapper_and_target, _count_by(object_keys));
+
+/**
+ * Split an array into the items that match the predicate and the items that do not.
+ *
+ * @param {match~Predicate} condition - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to be split
+ * @returns {Array} - A pair containing an array of the matches and an array of the rest
+ *
+ * @example <caption>Split even and odd numbers</caption>
+ * let [even, odd] = partition(val => val % 2 === 0, [1, 2, 3, 4]);
+ * console.log(even) // [2, 4]
+ * console.log(odd) // [1, 3]
+ *
+ */
+export const partition = checked('partition', condition_and_target, (condition, target) =>
+  reduce(
+    [[], []],
+    (results, value, ...args) => {
+      results[condition(value, ...args) ? 0 : 1].push(value);
+      return results;
+    },
+    target
+  )
+);
+
+const join_index = (key, target) =>
+  reduce(
+    { groups: new Map(), keys: [], items: [] },
+    (index, item, ...args) => {
+      const item_key = key(item, ...args);
+
+      if (item_key != null) {
+        if (!index.groups.has(item_key)) index.groups.set(item_key, []);
+        index.groups.get(item_key).push(item);
+      }
+      index.keys.push(item_key);
+      index.items.push(item);
+      return index;
+    },
+    target
+  );
+
+const _join = (keep_unmatched_left, keep_unmatched_right) =>
+  curry((left_key, right_key, combiner, left, right) => {
+    const right_index = join_index(right_key, right);
+    const matched_keys = new Set();
+
+    const rows = reduce(
+      [],
+      (results, item, ...args) => {
+        const key = left_key(item, ...args);
+        const matches = right_index.groups.get(key);
+
+        if (matches !== undefined) {
+          matched_keys.add(key);
+          each(match => results.push(combiner(item, match)), matches);
+        } else if (keep_unmatched_left) results.push(combiner(item, undefined));
+        return results;
+      },
+      left
+    );
+
+    if (keep_unmatched_right)
+      each((item, index) => {
+        if (!matched_keys.has(right_index.keys[index])) rows.push(combiner(undefined, item));
+      }, right_index.items);
+
+    return rows;
+  });
+
+const join_params = {
+  left_key: callable,
+  right_key: callable,
+  combiner: callable,
+  left: collection,
+  right: collection
+};
+
+const left_outer_join = _join(true, false);
+
+const right_outer_join = (left_key, right_key, combiner, left, right) =>
+  left_outer_join(
+    right_key,
+    left_key,
+    (right_item, left_item) => combiner(left_item, right_item),
+    right,
+    left
+  );
+
+/**
+ * Combines two items that have been joined
+ * @callback join~Combiner
+ * @param {any} left - Item from the left array, undefined when the right item has no match
+ * @param {any} right - Item from the right array, undefined when the left item has no match
+ * @returns {any} - The joined result
+ */
+
+/**
+ * Join the items of two arrays that have the same key, combining each pair of matching items.
+ * The right array is indexed by key first, so the join takes linear time. Keys are compared the
+ * same way as {@link uniq}, except that an item whose key is null or undefined never matches, so
+ * orders without a customer are not joined to customers without an id. Results are in the order
+ * of the left array, and a left item with several matches is combined with each of them in the
+ * order of the right array.
+ *
+ * @param {map~Mapper} left_key - Mapper used to produce the key of each left item
+ * @param {map~Mapper} right_key - Mapper used to produce the key of each right item
+ * @param {join~Combiner} combiner - Combines each pair of matching items
+ * @param {Array|Iterable} left - Left array
+ * @param {Array|Iterable} right - Right array
+ *
+ * @example <caption>Get the name of the customer for each order</caption>
+ * let result = inner_join(
+ *   ({customer_id}) => customer_id,
+ *   ({id}) => id,
+ *   (order, customer) => ({ ...order, name: customer.name }),
+ *   orders,
+ *   customers
+ * );
+ *
+ */
+export const inner_join = checked('inner_join', join_params, _join(false, false));
+
+/**
+ * Same as {@link inner_join}, but each left item without a match is combined with undefined
+ *
+ * @param {map~Mapper} left_key - Mapper used to produce the key of each left item
+ * @param {map~Mapper} right_key - Mapper used to produce the key of each right item
+ * @param {join~Combiner} combiner - Combines each pair of matching items
+ * @param {Array|Iterable} left - Left array
+ * @param {Array|Iterable} right - Right array
+ *
+ * @example <caption>Get every order with its customer, if there is one</caption>
+ * let by_customer = left_join(({customer_id}) => customer_id, ({id}) => id);
+ * let result = by_customer((order, customer) => [order, customer], orders, customers);
+ *
+ */
+export const left_join = checked('left_join', join_params, left_outer_join);
+
+/**
+ * Same as {@link inner_join}, but each right item without a match is combined with undefined.
+ * Results are in the order of the right array.
+ *
+ * @param {map~Mapper} left_key - Mapper used to produce the key of each left item
+ * @param {map~Mapper} right_key - Mapper used to produce the key of each right item
+ * @param {join~Combiner} combiner - Combines each pair of matching items
+ * @param {Array|Iterable} left - Left array
+ * @param {Array|Iterable} right - Right array
+ *
+ * @example <caption>Get every customer with each of their orders, if they have any</caption>
+ * let by_customer = right_join(({customer_id}) => customer_id, ({id}) => id);
+ * let result = by_customer((order, customer) => [order, customer], orders, customers);
+ *
+ */
+export const right_join = checked('right_join', join_params, right_outer_join);
+
+/**
+ * Same as {@link left_join}, followed by each right item without a match combined with undefined,
+ * in the order of the right array.
+ *
+ * @param {map~Mapper} left_key - Mapper used to produce the key of each left item
+ * @param {map~Mapper} right_key - Mapper used to produce the key of each right item
+ * @param {join~Combiner} combiner - Combines each pair of matching items
+ * @param {Array|Iterable} left - Left array
+ * @param {Array|Iterable} right - Right array
+ *
+ * @example <caption>Reconcile two lists of accounts</caption>
+ * let by_id = ({id}) => id;
+ * let result = full_outer_join(by_id, by_id, (ours, theirs) => [ours, theirs], ours, theirs);
+ *
+ */
+export const full_outer_join = checked('full_outer_join', join_params, _join(true, true));
+
+const filter_join_params = {
+  left_key: callable,
+  right_key: callable,
+  left: collection,
+  right: collection
+};
+
+const _filter_join = keep_matches =>
+  curry((left_key, right_key, left, right) => {
+    const right_keys = new Set(map(right_key, right));
+    const has_match = (...args) => {
+      const key = left_key(...args);
+      return key != null && right_keys.has(key);
+    };
+
+    return filter((...args) => has_match(...args) === keep_matches, left);
+  });
+
+/**
+ * Return the left items that have a matching right item. Each left item is returned once,
+ * no matter how many matches it has. A left item whose key is null or undefined has no match.
+ *
+ * @param {map~Mapper} left_key - Mapper used to produce the key of each left item
+ * @param {map~Mapper} right_key - Mapper used to produce the key of each right item
+ * @param {Array|Iterable} left - Left array
+ * @param {Array|Iterable} right - Right array
+ *
+ * @example <caption>Get the customers that have placed an order</caption>
+ * let result = semi_join(({id}) => id, ({customer_id}) => customer_id, customers, orders);
+ *
+ */
+export const semi_join = checked('semi_join', filter_join_params, _filter_join(true));
+
+/**
+ * Return the left items that do not have a matching right item. A left item whose key is null
+ * or undefined has no match, so it is returned.
+ *
+ * @param {map~Mapper} left_key - Mapper used to produce the key of each left item
+ * @param {map~Mapper} right_key - Mapper used to produce the key of each right item
+ * @param {Array|Iterable} left - Left array
+ * @param {Array|Iterable} right - Right array
+ *
+ * @example <caption>Get the customers that have never placed an order</caption>
+ * let result = anti_join(({id}) => id, ({customer_id}) => customer_id, customers, orders);
+ *
+ */
+export const anti_join = checked('anti_join', filter_join_params, _filter_join(false));
+
+/**
+ * Split the items into chunks of the given size. The last chunk holds the remaining items
+ * and may be smaller. Use the version in {@link lazy} to chunk an iterable without reading
+ * it all up front.
+ *
+ * @param {Number} size - Number of items in each chunk, must be a positive integer
+ * @param {Array|Iterable} target - Array containing items to be chunked
+ *
+ * @example <caption>Send ids to an api in batches of 2</caption>
+ * let result = chunk(2, [1, 2, 3, 4, 5]);
+ * console.log(result) // [[1, 2], [3, 4], [5]]
+ *
+ */
+export const chunk = checked('chunk', { size: integer, target: collection }, (size, target) => {
+  ensure_positive_integer('size', size);
+
+  return reduce(
+    [],
+    (chunks, value, index) => {
+      if (index % size === 0) chunks.push([]);
+      chunks[chunks.length - 1].push(value);
+      return chunks;
+    },
+    target
+  );
+});
+
+/**
+ * Return each window of size consecutive items, starting a new window every step items.
+ * Only complete windows are returned, so there are no windows when there are fewer items
+ * than the size. When step is larger than size, the items between windows are skipped.
+ *
+ * @param {Number} size - Number of items in each window, must be a positive integer
+ * @param {Number} step - Number of items between the start of each window, must be a positive integer
+ * @param {Array|Iterable} target - Array containing items to be windowed
+ *
+ * @example <caption>Get the moving windows of 3 readings</caption>
+ * let result = sliding_window(3, 1, [1, 2, 3, 4, 5]);
+ * console.log(result) // [[1, 2, 3], [2, 3, 4], [3, 4, 5]]
+ *
+ * @example <caption>Get windows of 2 readings, starting every 3 readings</caption>
+ * let result = sliding_window(2, 3, [1, 2, 3, 4, 5, 6, 7]);
+ * console.log(result) // [[1, 2], [4, 5]]
+ *
+ */
+export const sliding_window = checked('sliding_window', window_params, (size, step, target) => {
+  ensure_positive_integer('size', size);
+  ensure_positive_integer('step', step);
+
+  return reduce(
+    { open: [], windows: [] },
+    (state, value, index) => {
+      if (index % step === 0) state.open.push([]);
+      state.open.forEach(window => window.push(value));
+      if (state.open.length > 0 && state.open[0].length === size) state.windows.push(state.open.shift());
+      return state;
+    },
+    target
+  ).windows;
+});
+
+/**
+ * Return each pair of adjacent items
+ *
+ * @param {Array|Iterable} target - Array containing items to be paired
+ *
+ * @example <caption>Get the change between each reading</caption>
+ * let result = map(([previous, next]) => next - previous, pairwise([1, 4, 9]));
+ * console.log(result) // [3, 5]
+ *
+ */
+export const pairwise = validated('pairwise', { target: collection }, sliding_window(2, 1));
+
+/**
+ * Split the items into the items before the index and the items from the index onwards.
+ * A negative index counts back from the end.
+ *
+ * @param {Number} index - Index of the first item in the second part
+ * @param {Array|Iterable} target - Array containing items to be split
+ *
+ * @example <caption>Split off the last 2 items</caption>
+ * let [head, tail] = split_at(-2, [1, 2, 3, 4]);
+ * console.log(head) // [1, 2]
+ * console.log(tail) // [3, 4]
+ *
+ */
+export const split_at = checked('split_at', { index: integer, target: collection }, (index, target) => {
+  const items = as_array(target);
+  return [items.slice(0, index), items.slice(index)];
+});
+
+/**
+ * Split the items into groups of adjacent items, starting a new group wherever the
+ * predicate matches a pair of adjacent items.
+ *
+ * @param {Function} predicate - Invoked with the previous item, the current item and the index
+ * of the current item. Returning true starts a new group at the current item.
+ * @param {Array|Iterable} target - Array containing items to be split
+ *
+ * @example <caption>Split readings wherever there is a gap of more than 1</caption>
+ * let result = split_when((previous, current) => current - previous > 1, [1, 2, 5, 6, 9]);
+ * console.log(result) // [[1, 2], [5, 6], [9]]
+ *
+ */
+export const split_when = checked('split_when', predicate_and_target, (predicate, target) =>
+  reduce(
+    [],
+    (groups, value, index) => {
+      const group = groups[groups.length - 1];
+
+      if (group === undefined || predicate(group[group.length - 1], value, index)) groups.push([value]);
+      else group.push(value);
+      return groups;
+    },
+    target
+  )
+);
+
+const _take = direction =>
+  curry((count, target) => {
+    if (count <= 0) return [];
+
+    return _reduce(direction)(
+      [],
+      (taken, value) => {
+        taken.push(value);
+        return taken.length >= count ? reduced(taken) : taken;
+      },
+      target
+    );
+  });
+
+const _take_while = direction =>
+  curry((condition, target) =>
+    _reduce(direction)(
+      [],
+      (taken, value, ...args) => {
+        if (!condition(value, ...args)) return reduced(taken);
+
+        taken.push(value);
+        return taken;
+      },
+      target
+    )
+  );
+
+/**
+ * Return the first count items. No items past the last one taken are visited.
+ *
+ * @param {Number} count - Number of items to take
+ * @param {Array|Iterable} target - Array containing items to take from
+ *
+ * @example <caption>Get the first 2 numbers</caption>
+ * let result = take(2, [1, 2, 3, 4]);
+ * console.log(result) // [1, 2]
+ *
+ */
+export const take = checked('take', count_and_target, _take(each_until));
+
+/**
+ * Return the items from the start of the array for as long as they match the predicate.
+ * Iteration stops at the first item that does not match.
+ *
+ * @param {match~Predicate} condition - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to take from
+ *
+ * @example <caption>Get the numbers until the first one that is not less than 3</caption>
+ * let result = take_while(val => val < 3, [1, 2, 3, 1]);
+ * console.log(result) // [1, 2]
+ *
+ */
+export const take_while = checked('take_while', condition_and_target, _take_while(each_until));
+
+/**
+ * Return the last count items, in their original order. No items before the first one taken
+ * are visited.
+ *
+ * @param {Number} count - Number of items to take
+ * @param {Array|Iterable} target - Array containing items to take from
+ *
+ * @example <caption>Get the last 2 numbers</caption>
+ * let result = take_last(2, [1, 2, 3, 4]);
+ * console.log(result) // [3, 4]
+ *
+ */
+export const take_last = checked('take_last', count_and_target, (count, target) =>
+  _take(each_in_reverse_until)(count, target).reverse()
+);
+
+/**
+ * Return the items from the end of the array for as long as they match the predicate, in
+ * their original order. Iteration stops at the last item that does not match.
+ *
+ * @param {match~Predicate} condition - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to take from
+ *
+ * @example <caption>Get the trailing even numbers</caption>
+ * let result = take_last_while(val => val % 2 === 0, [1, 2, 3, 4, 6]);
+ * console.log(result) // [4, 6]
+ *
+ */
+export const take_last_while = checked('take_last_while', condition_and_target, (condition, target) =>
+  _take_while(each_in_reverse_until)(condition, target).reverse()
+);
+
+/**
+ * Return the items after the first count items.
+ *
+ * @param {Number} count - Number of items to skip
+ * @param {Array|Iterable} target - Array containing items to drop from
+ *
+ * @example <caption>Skip the first 2 numbers</caption>
+ * let result = drop(2, [1, 2, 3, 4]);
+ * console.log(result) // [3, 4]
+ *
+ */
+export const drop = checked('drop', count_and_target, (count, target) =>
+  filter((value, index) => index >= count, target)
+);
+
+/**
+ * Return the items from the first item that does not match the predicate onwards. The
+ * predicate is not invoked again once an item does not match.
+ *
+ * @param {match~Predicate} condition - Condition used to match the item
+ * @param {Array|Iterable} target - Array containing items to drop from
+ *
+ * @example <caption>Skip the leading numbers that are less than 3</caption>
+ * let result = drop_while(val => val < 3, [1, 2, 3, 1]);
+ * console.log(result) // [3, 1]
+ *
+ */
+export const drop_while = checked('drop_while', condition_and_target, (condition, target) => {
+  let dropping = true;
+
+  return filter((...args) => {
+    dropping = dropping && !!condition(...args);
+    return !dropping;
+  }, target);
+});
+
+/**
+ * Return all the items except the last count items.
+ *
+ * @param {Number} count - Number of items to leave off the end
+ * @param {Array|Iterable} target - Array containing items to drop from
+ *
+ * @example <caption>Leave off the last 2 numbers</caption>
+ * let result = drop_last(2, [1, 2, 3, 4]);
+ * console.log(result) // [1, 2]
+ *
+ */
+export const drop_last = checked('drop_last', count_and_target, (count, target) => {
+  const items = as_array(target);
+  return items.slice(0, Math.max(items.length - Math.max(count, 0), 0));
+});
+
+const zip_rows = (is_complete, fill, targets) => {
+  const iterators = map(iterator_of, targets);
+  const done = map(() => false, iterators);
+  const rows = [];
+
+  while (iterators.length > 0) {
+    const row = map((iterator, position) => {
+      if (done[position]) return fill;
+
+      const step = iterator.next();
+      done[position] = !!step.done;
+      return step.done ? fill : step.value;
+    }, iterators);
+
+    if (is_complete(done)) break;
+    rows.push(row);
+  }
+
+  each((iterator, position) => {
+    if (!done[position] && typeof iterator.return === 'function') iterator.return();
+  }, iterators);
+
+  return rows;
+};
+
+const any_done = done => done.some(Boolean);
+const all_done = done => done.every(Boolean);
+
+const check_targets = (name, targets) =>
+  each((target, position) => check(name, `targets[${position}]`, collection, target), targets);
+
+const with_trailing_targets = fn => (first_argument, ...targets) =>
+  targets.length === 0
+    ? (...later_targets) => fn(first_argument, later_targets)
+    : fn(first_argument, targets);
+
+/**
+ * Combine the items at the same position of each target into an array. The result is as long
+ * as the shortest target, so infinite iterables can be zipped with finite ones.
+ *
+ * @param {...(Array|Iterable)} targets - Arrays containing the items to combine
+ *
+ * @example <caption>Pair up labels with values</caption>
+ * let result = zip(['a', 'b', 'c'], [1, 2]);
+ * console.log(result) // [['a', 1], ['b', 2]]
+ *
+ */
+export const zip = (...targets) => {
+  check_targets('zip', targets);
+  return zip_rows(any_done, undefined, targets);
+};
+
+/**
+ * Combine the items at the same position of each target using the combiner. The result is as
+ * long as the shortest target. When only the combiner is provided, a function that accepts the
+ * targets is returned.
+ *
+ * @param {Function} combiner - Invoked with the item from each target, in the order of the targets
+ * @param {...(Array|Iterable)} targets - Arrays containing the items to combine
+ *
+ * @example <caption>Add up the readings from two sensors</caption>
+ * let result = zip_with((a, b) => a + b, [1, 2, 3], [10, 20, 30]);
+ * console.log(result) // [11, 22, 33]
+ *
+ */
+export const zip_with = with_trailing_targets((combiner, targets) => {
+  check('zip_with', 'combiner', callable, combiner);
+  check_targets('zip_with', targets);
+  return map(row => combiner(...row), zip_rows(any_done, undefined, targets));
+});
+
+/**
+ * Combine the items at the same position of each target into an array. The result is as long
+ * as the longest target, with the fill value taking the place of the items of shorter targets.
+ * When only the fill value is provided, a function that accepts the targets is returned.
+ *
+ * @param {any} fill - Value used in place of missing items
+ * @param {...(Array|Iterable)} targets - Arrays containing the items to combine
+ *
+ * @example <caption>Pair up labels with values, filling in missing values</caption>
+ * let result = zip_longest(0, ['a', 'b', 'c'], [1, 2]);
+ * console.log(result) // [['a', 1], ['b', 2], ['c', 0]]
+ *
+ */
+export const zip_longest = with_trailing_targets((fill, targets) => {
+  check_targets('zip_longest', targets);
+  return zip_rows(all_done, fill, targets);
+});
+
+/**
+ * The inverse of {@link zip}, split an array of tuples into an array for each position.
+ *
+ * @param {Array|Iterable} target - Array of tuples
+ *
+ * @example <caption>Split pairs into labels and values</caption>
+ * let result = unzip([['a', 1], ['b', 2]]);
+ * console.log(result) // [['a', 'b'], [1, 2]]
+ *
+ */
+export const unzip = validated('unzip', { target: collection }, target =>
+  target == null ? [] : zip(...as_array(target))
+);
+
+/**
+ * Create an object from a list of keys and a list of values. Every key is added, keys without
+ * a value are set to undefined and values without a key are ignored.
+ *
+ * @param {Array|Iterable} keys - Keys of the object
+ * @param {Array|Iterable} values - Values for each key, in the same order as the keys
+ *
+ * @example <caption>Create an object from labels and values</caption>
+ * let result = zip_object(['a', 'b'], [1, 2, 3]);
+ * console.log(result) // { a: 1, b: 2 }
+ *
+ */
+export const zip_object = checked('zip_object', { keys: collection, values: collection }, (keys, values) =>
+  reduce(
+    {},
+    (result, [key, value]) => {
+      result[key] = value;
+      return result;
+    },
+    zip_rows(done => done[0], undefined, [keys, values])
+  )
+);
+
+const insert_params = { index: integer, items: collection, target: collection };
+const update_params = { index: integer, updater: callable, target: collection };
+const update_where_params = { condition: callable, updater: callable, target: collection };
+const move_params = { from: integer, to: integer, target: collection };
+const swap_params = { first_index: integer, second_index: integer, target: collection };
+
+const as_editable = target => (Array.isArray(target) ? target : as_array(target == null ? [] : target));
+
+const position_in = (index, length) => (index < 0 ? length + index : index);
+
+const item_position = (index, array) => {
+  const position = position_in(index, array.length);
+  return Number.isInteger(position) && position >= 0 && position < array.length ? position : -1;
+};
+
+/**
+ * Return a new array with the items inserted before the item at the index. A negative index
+ * counts back from the end, and an index past either end inserts at that end. When there
+ * are no items to insert, the original array is returned.
+ *
+ * @param {Number} index - Index at which the first inserted item will be
+ * @param {Array|Iterable} items - Items to insert
+ * @param {Array|Iterable} target - Array to insert the items into, it is not modified
+ *
+ * @example <caption>Insert items before the last item</caption>
+ * let result = insert_at(-1, ['a', 'b'], [1, 2, 3]);
+ * console.log(result) // [1, 2, 'a', 'b', 3]
+ *
+ */
+export const insert_at = checked('insert_at', insert_params, (index, items, target) => {
+  const array = as_editable(target);
+  const inserted = as_editable(items);
+  if (inserted.length === 0) return array;
+
+  const position = Math.min(Math.max(position_in(index, array.length), 0), array.length);
+  return [...array.slice(0, position), ...inserted, ...array.slice(position)];
+});
+
+/**
+ * Return a new array without the item at the index. A negative index counts back from the
+ * end. When there is no item at the index, the original array is returned.
+ *
+ * @param {Number} index - Index of the item to remove
+ * @param {Array|Iterable} target - Array to remove the item from, it is not modified
+ *
+ * @example <caption>Remove the last item</caption>
+ * let result = remove_at(-1, [1, 2, 3]);
+ * console.log(result) // [1, 2]
+ *
+ */
+export const remove_at = checked('remove_at', { index: integer, target: collection }, (index, target) => {
+  const array = as_editable(target);
+  const position = item_position(index, array);
+  if (position === -1) return array;
+
+  return [...array.slice(0, position), ...array.slice(position + 1)];
+});
+
+/**
+ * Return a new array with the item at the index replaced by the result of the updater. A
+ * negative index counts back from the end. When there is no item at the index, or the updater
+ * returns the same item, the original array is returned.
+ *
+ * @param {Number} index - Index of the item to update
+ * @param {map~Mapper} updater - Invoked with the item, its index and the array, returns the new item
+ * @param {Array|Iterable} target - Array to update, it is not modified
+ *
+ * @example <caption>Mark the first todo as done</caption>
+ * let result = update_at(0, todo => ({ ...todo, done: true }), todos);
+ *
+ */
+export const update_at = checked('update_at', update_params, (index, updater, target) => {
+  const array = as_editable(target);
+  const position = item_position(index, array);
+  if (position === -1) return array;
+
+  const updated = updater(array[position], position, array);
+  if (same_value_zero(updated, array[position])) return array;
+
+  const results = array.slice(0);
+  results[position] = updated;
+  return results;
+});
+
+/**
+ * Return a new array with each item that matches the predicate replaced by the result of the
+ * updater. When no item is changed, the original array is returned.
+ *
+ * @param {match~Predicate} condition - Condition used to match the items to update
+ * @param {map~Mapper} updater - Invoked with the item, its index and the array, returns the new item
+ * @param {Array|Iterable} target - Array to update, it is not modified
+ *
+ * @example <caption>Mark all overdue todos as urgent</caption>
+ * let result = update_where(({due}) => due < today, todo => ({ ...todo, urgent: true }), todos);
+ *
+ */
+export const update_where = checked('update_where', update_where_params, (condition, updater, target) => {
+  const array = as_editable(target);
+  let changed = false;
+
+  const results = map((item, ...args) => {
+    if (!condition(item, ...args)) return item;
+
+    const updated = updater(item, ...args);
+    changed = changed || !same_value_zero(updated, item);
+    return updated;
+  }, array);
+
+  return changed ? results : array;
+});
+
+/**
+ * Return a new array without the items that match the predicate. When no item matches, the
+ * original array is returned.
+ *
+ * @param {match~Predicate} condition - Condition used to match the items to remove
+ * @param {Array|Iterable} target - Array to remove the items from, it is not modified
+ *
+ * @example <caption>Remove the completed todos</caption>
+ * let result = remove_where(({done}) => done, todos);
+ *
+ */
+export const remove_where = checked('remove_where', condition_and_target, (condition, target) => {
+  const array = as_editable(target);
+  const results = filter((...args) => !condition(...args), array);
+
+  return results.length === array.length ? array : results;
+});
+
+/**
+ * Return a new array with the item at the from index moved to the to index, shifting the items
+ * in between. Negative indexes count back from the end. When either index has no item, or
+ * both are the same, the original array is returned.
+ *
+ * @param {Number} from - Index of the item to move
+ * @param {Number} to - Index the item will be at once it has been moved
+ * @param {Array|Iterable} target - Array containing the item, it is not modified
+ *
+ * @example <caption>Move the first item to the end</caption>
+ * let result = move(0, -1, [1, 2, 3]);
+ * console.log(result) // [2, 3, 1]
+ *
+ */
+export const move = checked('move', move_params, (from, to, target) => {
+  const array = as_editable(target);
+  const source = item_position(from, array);
+  const destination = item_position(to, array);
+  if (source === -1 || destination === -1 || source === destination) return array;
+
+  const results = array.slice(0);
+  results.splice(destination, 0, results.splice(source, 1)[0]);
+  return results;
+});
+
+/**
+ * Return a new array with the items at the two indexes swapped. Negative indexes count back
+ * from the end. When either index has no item, or both are the same, the original array
+ * is returned.
+ *
+ * @param {Number} first_index - Index of the first item
+ * @param {Number} second_index - Index of the second item
+ * @param {Array|Iterable} target - Array containing the items, it is not modified
+ *
+ * @example <caption>Swap the first and last items</caption>
+ * let result = swap(0, -1, [1, 2, 3]);
+ * console.log(result) // [3, 2, 1]
+ *
+ */
+export const swap = checked('swap', swap_params, (first_index, second_index, target) => {
+  const array = as_editable(target);
+  const first_position = item_position(first_index, array);
+  const second_position = item_position(second_index, array);
+  const positions = [first_position, second_position];
+  if (positions.includes(-1) || first_position === second_position) return array;
+
+  const results = array.slice(0);
+  results[first_position] = array[second_position];
+  results[second_position] = array[first_position];
+  return results;
+});
+
+const default_comparer = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const extremum = (comparer, sign, mapper, target) =>
+  reduce(
+    null,
+    (best, item, ...args) => {
+      const value = mapper(item, ...args);
+
+      if (is_missing_number(value)) return best;
+      return best === null || sign * comparer(value, best.value) > 0 ? { item, value } : best;
+    },
+    target
+  );
+
+const extreme_value_or = sign => (default_value, mapper, target) => {
+  const best = extremum(default_comparer, sign, mapper, target);
+  return best === null ? default_value : best.value;
+};
+
+const extreme_value = sign => (mapper, target) => extreme_value_or(sign)(undefined, mapper, target);
+
+const default_value_params = { default_value: any_value, mapper: callable, target: collection };
+
+const with_default_in_one_call = (value, value_or) => (mapper, ...rest) =>
+  rest.length > 1 ? value_or(rest[0], mapper, rest[1]) : value(mapper, ...rest);
+
+/**
+ * Return the max of the values produced by the mapper for each item in the array. Values are
+ * compared using < and >, so numbers (including negative numbers), strings and dates are all supported.
+ * Values that are null, undefined or NaN are left out. If there are no other values, undefined is
+ * returned; use {@link max_or} to return something else. The default value can also be provided
+ * between the mapper and the target, but only when all three arguments are provided at once.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value used for
+ * the max calculation.
+ * @param {any} [default_value] - Value to return when there are no values
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the max number in an array</caption>
+ * let numbers = [1, 2, 3, 10, 5];
+ * let result = max(val => val, numbers);
+ * console.log(result) // 10
+ *
+ * @example <caption>Get the age of the oldest person</caption>
+ * let people = [
+ *   { name: 'Person 1', age: 10 },
+ *   { name: 'Person 2', age: 10 },
+ *   { name: 'Person 3', age: 11 },
+ *   { name: 'Person 4', age: 12 },
+ * ];
+ * let result = max(({age}) => age, people);
+ * console.log(result) // 12
+ *
+ */
+export const max = with_default_in_one_call(
+  checked('max', mapper_and_target, extreme_value(1)),
+  checked('max', default_value_params, extreme_value_or(1))
+);
+
+/**
+ * Same as {@link max}, with the value to return for an empty array provided first. As with the
+ * other arguments, the function waits for the mapper and the target when only given the default.
+ *
+ * @param {any} default_value - Value to return when the array is empty
+ * @param {map~Mapper} mapper - Mapper used to map the value used for the max calculation
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the latest timestamp, or 0 if there are no events</caption>
+ * let latest = max_or(0, ({timestamp}) => timestamp);
+ * console.log(latest([])) // 0
+ *
+ */
+export const max_or = checked('max_or', default_value_params, extreme_value_or(1));
+
+/**
+ * Return the min of the values produced by the mapper for each item in the array. Values are
+ * compared using < and >, so numbers, strings and dates are all supported. Values that are null,
+ * undefined or NaN are left out. If there are no other values, undefined is returned; use
+ * {@link min_or} to return something else. The default value can also be provided between the
+ * mapper and the target, but only when all three arguments are provided at once.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value used for
+ * the min calculation.
+ * @param {any} [default_value] - Value to return when there are no values
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the min number in an array</caption>
+ * let numbers = [1, 2, 3, 10, 5];
+ * let result = min(val => val, numbers);
+ * console.log(result) // 1
+ *
+ * @example <caption>Get the age of the youngest person</caption>
+ * let people = [
+ *   { name: 'Person 1', age: 10 },
+ *   { name: 'Person 2', age: 10 },
+ *   { name: 'Person 3', age: 11 },
+ *   { name: 'Person 4', age: 12 },
+ * ];
+ * let result = min(({age}) => age, people);
+ * console.log(result) // 10
+ *
+ */
+export const min = with_default_in_one_call(
+  checked('min', mapper_and_target, extreme_value(-1)),
+  checked('min', default_value_params, extreme_value_or(-1))
+);
+
+/**
+ * Same as {@link min}, with the value to return for an empty array provided first. As with the
+ * other arguments, the function waits for the mapper and the target when only given the default.
+ *
+ * @param {any} default_value - Value to return when the array is empty
+ * @param {map~Mapper} mapper - Mapper used to map the value used for the min calculation
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the lowest price, or 0 if there are no products</caption>
+ * let result = min_or(0, ({price}) => price, []);
+ * console.log(result) // 0
+ *
+ */
+export const min_or = checked('min_or', default_value_params, extreme_value_or(-1));
+
+const extreme_item = sign =>
+  curry((mapper, target) => (extremum(default_comparer, sign, mapper, target) || {}).item);
+
+const extreme_item_with = sign =>
+  curry((comparer, target) => (extremum(comparer, sign, item => item, target) || {}).item);
+
+/**
+ * Return the item that produces the max value from the mapper. When more than one item
+ * produces the max value, the first one is returned. Items that produce null, undefined
+ * or NaN are left out. Returns undefined for an empty array.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value used for the comparison
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the oldest person</caption>
+ * let result = max_by(({age}) => age, people);
+ * console.log(result) // { name: 'Person 4', age: 12 }
+ *
+ */
+export const max_by = checked('max_by', mapper_and_target, extreme_item(1));
+
+/**
+ * Return the item that produces the min value from the mapper. When more than one item
+ * produces the min value, the first one is returned. Items that produce null, undefined
+ * or NaN are left out. Returns undefined for an empty array.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value used for the comparison
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the youngest person</caption>
+ * let result = min_by(({age}) => age, people);
+ * console.log(result) // { name: 'Person 1', age: 10 }
+ *
+ */
+export const min_by = checked('min_by', mapper_and_target, extreme_item(-1));
+
+/**
+ * Return the greatest item according to the comparer. When more than one item compares
+ * as the greatest, the first one is returned. Items that are null, undefined
+ * or NaN are left out. Returns undefined for an empty array.
+ *
+ * @param {sort~Comparer} comparer - Comparer used to compare the items
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the last name in German alphabetical order</caption>
+ * let result = max_with(collate('de'), ['Äpfel', 'zebra', 'apple']);
+ * console.log(result) // 'zebra'
+ *
+ */
+export const max_with = checked('max_with', comparer_and_target, extreme_item_with(1));
+
+/**
+ * Return the smallest item according to the comparer. When more than one item compares
+ * as the smallest, the first one is returned. Items that are null, undefined
+ * or NaN are left out. Returns undefined for an empty array.
+ *
+ * @param {sort~Comparer} comparer - Comparer used to compare the items
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the earliest date</caption>
+ * let result = min_with((a, b) => a.getTime() - b.getTime(), dates);
+ *
+ */
+export const min_with = checked('min_with', comparer_and_target, extreme_item_with(-1));
+
+/**
+ * Return both the min and the max of the values produced by the mapper, in a single pass over
+ * the array. Values that are null, undefined or NaN are left out. Returns [undefined, undefined]
+ * for an empty array.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value used for the calculation
+ * @param {Array|Iterable} target - Target array
+ * @returns {Array} - A pair containing the min and the max
+ *
+ * @example <caption>Get the range of ages</caption>
+ * let [youngest, oldest] = min_max(({age}) => age, people);
+ *
+ */
+export const min_max = checked('min_max', mapper_and_target, (mapper, target) => {
+  const range = reduce(
+    null,
+    (range, item, ...args) => {
+      const value = mapper(item, ...args);
+
+      if (is_missing_number(value)) return range;
+      if (range === null) return [value, value];
+      if (default_comparer(value, range[0]) < 0) range[0] = value;
+      if (default_comparer(value, range[1]) > 0) range[1] = value;
+      return range;
+    },
+    target
+  );
+
+  return range === null ? [undefined, undefined] : range;
+});
+
+const sort_with_comparer_and_target = checked('sort', comparer_and_target, (comparer, target) => {
+  const results = map((value, index) => ({ value, index }), target == null ? [] : target);
+
+  results.sort((a, b) => comparer(a.value, b.value) || a.index - b.index);
+
+  return map(({ value }) => value, results);
+});
+
+/**
+ * @callback sort~Comparer
+ * @param {any} a - first item to compare
+ * @param {any} b - second item to compar
+ * @returns {Number} - Result of the comparison
+ */
+
+/**
+ * Sorts an array using an optional comparer. Does not modify the
+ * original list, rather returns a new array containing the results
+ * sorted using the comparer. The sort is stable, items that compare
+ * as equal keep their original order.
+ *
+ * @param {Array | sort~Comparer} comparer_or_target - If a comparer is provided,
+ * the comparer will be used to perform the comparison of items to one another.
+ * If a comparer is not provided, the default comparer will be used.
+ *
+ * @example <caption>Sort all numbers in an array</caption>
+ * let numbers = [4, 2, 1, 10, 5];
+ * let result = sort(numbers);
+ * console.log(result) // [1, 2, 4, 5, 10]
+ *
+ * @example <caption>Sort all numbers in an array descending</caption>
+ * let numbers = [4, 2, 1, 10, 5];
+ * let result = sort((a,b) => b - a, numbers);
+ * console.log(result) // [10, 5, 4, 2, 1]
+ *
+ */
+export const sort = (comparer_or_target, ...args) => {
+  if (typeof comparer_or_target !== 'function') {
+    if (args.length > 0) check('sort', 'comparer', callable, comparer_or_target);
+    return sort_with_comparer_and_target(default_comparer, comparer_or_target);
+  }
+
+  return sort_with_comparer_and_target(comparer_or_target, ...args);
+};
+
+const is_missing = value => value === null || value === undefined;
+
+const sort_direction = sign => (mapper, { nulls = 'last', comparer = default_comparer } = {}) => {
+  const missing_order = nulls === 'first' ? -1 : 1;
+
+  return (a, b) => {
+    const left = mapper(a);
+    const right = mapper(b);
+
+    if (is_missing(left) && is_missing(right)) return 0;
+    if (is_missing(left)) return missing_order;
+    if (is_missing(right)) return -missing_order;
+
+    return sign * comparer(left, right);
+  };
+};
+
+/**
+ * Options that control how a sort key is compared
+ * @typedef {Object} sort~KeyOptions
+ * @property {String} [nulls='last'] - Either 'first' or 'last'. Where items whose key is null or
+ * undefined are placed, regardless of the direction of the sort.
+ * @property {sort~Comparer} [comparer] - Comparer used for the keys, see {@link collate} for
+ * locale aware string comparison. Defaults to comparing using < and >.
+ */
+
+/**
+ * Create a comparer that sorts items in ascending order of the key produced by the mapper.
+ * The comparer can be used with {@link sort} or combined with others using {@link sort_by}.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the sort key for each item
+ * @param {sort~KeyOptions} [options] - Options for comparing the keys
+ * @returns {sort~Comparer}
+ *
+ * @example <caption>Sort people by age, placing people without an age first</caption>
+ * let result = sort(ascending(({age}) => age, { nulls: 'first' }), people);
+ *
+ */
+export const ascending = validated('ascending', { mapper: callable }, sort_direction(1));
+
+/**
+ * Create a comparer that sorts items in descending order of the key produced by the mapper.
+ * The comparer can be used with {@link sort} or combined with others using {@link sort_by}.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the sort key for each item
+ * @param {sort~KeyOptions} [options] - Options for comparing the keys
+ * @returns {sort~Comparer}
+ *
+ * @example <caption>Sort people from oldest to youngest</caption>
+ * let result = sort(descending(({age}) => age), people);
+ *
+ */
+export const descending = validated('descending', { mapper: callable }, sort_direction(-1));
+
+/**
+ * Create a comparer for strings backed by Intl.Collator.
+ * A single collator is created and reused for every comparison.
+ *
+ * @param {String|Array<String>} [locales] - Locales passed to the collator
+ * @param {Object} [options] - Options passed to the collator
+ * @returns {sort~Comparer}
+ *
+ * @example <caption>Sort names for a German audience, ignoring case</caption>
+ * let by_name = ascending(({name}) => name, { comparer: collate('de', { sensitivity: 'base' }) });
+ * let result = sort(by_name, people);
+ *
+ */
+export const collate = (locales, options) => {
+  const collator = new Intl.Collator(locales, options);
+  return (a, b) => collator.compare(a, b);
+};
+
+/**
+ * Sorts an array using a list of comparers, usually created with {@link ascending} and
+ * {@link descending}. Items are compared with each comparer in turn until one of them finds a
+ * difference. Does not modify the original list, and the sort is stable.
+ *
+ * @param {Array<sort~Comparer>} comparers - Comparers in order of priority
+ * @param {Array|Iterable} target - Array containing the items to sort
+ *
+ * @example <caption>Sort people by last name, then from oldest to youngest</caption>
+ * let result = sort_by([ascending(({last}) => last), descending(({age}) => age)], people);
+ *
+ */
+export const sort_by = checked('sort_by', sort_by_params, (comparers, target) => {
+  const ordered_comparers = as_array(comparers);
+
+  return sort_with_comparer_and_target((a, b) => {
+    for (let position = 0; position < ordered_comparers.length; position++) {
+      const result = ordered_comparers[position](a, b);
+      if (result) return result;
+    }
+    return 0;
+  }, target);
+});
+
+const search_params = { comparer: callable, value: any_value, sorted_target: collection };
+
+const bisect = (goes_before, target) => {
+  const items = is_indexable(target) ? target : as_array(target == null ? [] : target);
+  let low = 0;
+  let high = items.length;
+
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (goes_before(items[middle])) low = middle + 1;
+    else high = middle;
+  }
+  return { items, index: low };
+};
+
+/**
+ * Find the index of a value in an array that is sorted by the comparer (for example, the result
+ * of {@link sort} or {@link sort_by} with the same comparer). The array is not checked to be sorted,
+ * searching an unsorted array gives an unspecified result. When several items compare equal
+ * to the value, the index of the first of them is returned.
+ *
+ * @param {sort~Comparer} comparer - Invoked with an item of the array and the value
+ * @param {any} value - Value to search for
+ * @param {Array} sorted_target - Array sorted by the comparer
+ * @returns {Number} - Index of the value, or -1 when the value is not in the array. Use
+ * {@link sorted_insert_index} to find where a missing value belongs.
+ *
+ * @example <caption>Find a number in a sorted array</caption>
+ * let result = binary_search((a, b) => a - b, 7, [1, 3, 7, 9]);
+ * console.log(result) // 2
+ *
+ * @example <caption>Find a person in an array sorted by age</caption>
+ * let by_age = ascending(({age}) => age);
+ * let result = binary_search(by_age, { age: 30 }, sort(by_age, people));
+ *
+ */
+export const binary_search = checked('binary_search', search_params, (comparer, value, sorted_target) => {
+  const { items, index } = bisect(item => comparer(item, value) < 0, sorted_target);
+  return index < items.length && comparer(items[index], value) === 0 ? index : -1;
+});
+
+/**
+ * Find the index at which a value can be inserted into an array that is sorted by the comparer,
+ * so that the array stays sorted. The index is after any items that compare equal to the value,
+ * which keeps the order of insertion for equal items, the same as a stable {@link sort}.
+ *
+ * @param {sort~Comparer} comparer - Invoked with an item of the array and the value
+ * @param {any} value - Value to be inserted
+ * @param {Array} sorted_target - Array sorted by the comparer
+ * @returns {Number} - Index between 0 and the length of the array at which to insert the value
+ *
+ * @example <caption>Keep an array of numbers sorted</caption>
+ * let numbers = [1, 3, 7, 9];
+ * numbers.splice(sorted_insert_index((a, b) => a - b, 5, numbers), 0, 5);
+ * console.log(numbers) // [1, 3, 5, 7, 9]
+ *
+ */
+export const sorted_insert_index = checked(
+  'sorted_insert_index',
+  search_params,
+  (comparer, value, sorted_target) => bisect(item => comparer(item, value) <= 0, sorted_target).index
+);
+
+/**
+ * Error thrown by {@link topo_sort} and {@link topo_levels} when the dependencies of some
+ * items form a cycle.
+ *
+ * @param {Array} cycle - Ids of the items in the cycle, each depending on the next, and the
+ * last depending on the first
+ *
+ * @example <caption>Report the items in a cycle</caption>
+ * try {
+ *   topo_sort(({name}) => name, ({needs}) => needs, steps);
+ * } catch (error) {
+ *   if (error instanceof CycleError) console.log(error.cycle) // ['build', 'test']
+ * }
+ *
+ */
+export class CycleError extends Error {
+  constructor(cycle) {
+    super(`dependency cycle found: ${cycle.concat([cycle[0]]).join(' -> ')}`);
+    this.name = 'CycleError';
+    this.cycle = cycle;
+  }
+}
+
+const topo_params = { id_fn: callable, dependencies_fn: callable, target: collection };
+
+const dependency_graph = (id_fn, dependencies_fn, target) => {
+  const items = target == null ? [] : as_array(target);
+  const positions = reduce(
+    new Map(),
+    (results, item, index) => {
+      const id = id_fn(item, index, items);
+      if (results.has(id)) throw new Error(`topo_sort requires unique ids, found duplicate id: ${id}`);
+      return results.set(id, index);
+    },
+    items
+  );
+  const dependencies = map((item, index) => {
+    const ids = dependencies_fn(item, index, items);
+    const known_ids = filter(id => positions.has(id), ids == null ? [] : ids);
+    return map(id => positions.get(id), uniq(known_ids));
+  }, items);
+  const dependents = reduce(
+    map(() => [], items),
+    (results, item_dependencies, index) => {
+      each(dependency => results[dependency].push(index), item_dependencies);
+      return results;
+    },
+    dependencies
+  );
+
+  return { items, ids: [...positions.keys()], dependencies, dependents };
+};
+
+const find_cycle = (graph, waiting_on) => {
+  const in_cycle = index => waiting_on[index] > 0;
+  const path = [];
+  const path_positions = new Map();
+  let current = find_index((count, index) => in_cycle(index), waiting_on);
+
+  while (!path_positions.has(current)) {
+    path_positions.set(current, path.length);
+    path.push(current);
+    current = first(in_cycle, graph.dependencies[current]);
+  }
+  return map(index => graph.ids[index], path.slice(path_positions.get(current)));
+};
+
+const ensure_no_cycle = (graph, waiting_on, processed) => {
+  if (processed < graph.items.length) throw new CycleError(find_cycle(graph, waiting_on));
+};
+
+const descending_numbers = (a, b) => b - a;
+
+/**
+ * Order the items so that each item comes after the items it depends on
+ * ({@link https://en.wikipedia.org/wiki/Topological_sorting topological sort}). The order is
+ * stable: whenever more than one item could come next, the one that is earliest in the array
+ * is chosen, so items that do not depend on each other keep their original order. Dependencies
+ * on ids that are not in the array are ignored.
+ *
+ * @param {map~Mapper} id_fn - Mapper used to produce the id of each item, ids must be unique
+ * @param {map~Mapper} dependencies_fn - Mapper used to produce the ids of the items an item depends on
+ * @param {Array|Iterable} target - Array containing items to be ordered
+ * @throws {CycleError} When the dependencies of some items form a cycle
+ *
+ * @example <caption>Order the steps of a build</caption>
+ * let steps = [{ name: 'test', needs: ['build'] }, { name: 'lint' }, { name: 'build', needs: ['lint'] }];
+ * let result = topo_sort(({name}) => name, ({needs}) => needs, steps);
+ * console.log(result) // [{ name: 'lint' }, { name: 'build', ... }, { name: 'test', ... }]
+ *
+ */
+export const topo_sort = checked('topo_sort', topo_params, (id_fn, dependencies_fn, target) => {
+  const graph = dependency_graph(id_fn, dependencies_fn, target);
+  const waiting_on = map(item_dependencies => item_dependencies.length, graph.dependencies);
+  const ready = filter(
+    index => waiting_on[index] === 0,
+    map((item, index) => index, graph.items)
+  ).reverse();
+  const order = [];
+
+  while (ready.length > 0) {
+    const index = ready.pop();
+
+    order.push(index);
+    each(dependent => {
+      waiting_on[dependent]--;
+      if (waiting_on[dependent] === 0)
+        ready.splice(sorted_insert_index(descending_numbers, dependent, ready), 0, dependent);
+    }, graph.dependents[index]);
+  }
+
+  ensure_no_cycle(graph, waiting_on, order.length);
+  return map(index => graph.items[index], order);
+});
+
+/**
+ * Group the items into levels, where each item depends only on items in earlier levels. The
+ * items in a level do not depend on each other, so they can be processed in parallel. Items
+ * in each level keep their original order. Dependencies on ids that are not in the array
+ * are ignored.
+ *
+ * @param {map~Mapper} id_fn - Mapper used to produce the id of each item, ids must be unique
+ * @param {map~Mapper} dependencies_fn - Mapper used to produce the ids of the items an item depends on
+ * @param {Array|Iterable} target - Array containing items to be grouped
+ * @throws {CycleError} When the dependencies of some items form a cycle
+ *
+ * @example <caption>Run migrations in parallel where possible</caption>
+ * let migrations = [{ id: 'a' }, { id: 'b', after: ['a'] }, { id: 'c' }];
+ * let result = topo_levels(({id}) => id, ({after}) => after, migrations);
+ * console.log(result) // [[{ id: 'a' }, { id: 'c' }], [{ id: 'b', ... }]]
+ *
+ */
+export const topo_levels = checked('topo_levels', topo_params, (id_fn, dependencies_fn, target) => {
+  const graph = dependency_graph(id_fn, dependencies_fn, target);
+  const waiting_on = map(item_dependencies => item_dependencies.length, graph.dependencies);
+  const levels = [];
+  let level = filter(
+    index => waiting_on[index] === 0,
+    map((item, index) => index, graph.items)
+  );
+  let processed = 0;
+
+  while (level.length > 0) {
+    const next_level = [];
+
+    levels.push(level);
+    processed += level.length;
+    each(index => {
+      each(dependent => {
+        waiting_on[dependent]--;
+        if (waiting_on[dependent] === 0) next_level.push(dependent);
+      }, graph.dependents[index]);
+    }, level);
+    level = sort(next_level);
+  }
+
+  ensure_no_cycle(graph, waiting_on, processed);
+  return map(indexes => map(index => graph.items[index], indexes), levels);
+});
+
+const diff_params = { mapper: callable, before: collection, after: collection };
+
+const positions_by_key = keys =>
+  reduce(
+    new Map(),
+    (positions, key, index) => {
+      if (positions.has(key)) throw new Error(`diff requires unique keys, found duplicate key: ${key}`);
+      return positions.set(key, index);
+    },
+    keys
+  );
+
+const longest_increasing_run = values => {
+  const tails = [];
+  const previous = [];
+
+  each((value, index) => {
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (values[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  }, values);
+
+  const run = [];
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index])
+    run.push(index);
+  return run.reverse();
+};
+
+const index_of_key = (key, entries) => entries.findIndex(entry => entry.key === key);
+
+/**
+ * A single step of a patch produced by {@link diff}. Indexes refer to the state of the array
+ * at the time the step is applied, so the steps must be applied in order.
+ * @typedef {Object} diff~Operation
+ * @property {String} op - One of 'remove', 'insert', 'move' or 'replace'
+ * @property {any} key - Key of the item the operation applies to
+ * @property {Number} [index] - Index of the item to remove, insert or replace
+ * @property {Number} [from] - Index the item is moved from (move only)
+ * @property {Number} [to] - Index the item is moved to, once it has been taken out (move only)
+ * @property {any} [value] - Item to insert, or the item to replace the existing one with
+ */
+
+/**
+ * Compute an edit script that turns one array into another, matching items by the key
+ * produced by the mapper. Items whose key is no longer present are removed, new keys are
+ * inserted, and the fewest possible items are moved to put the rest in order (items in the
+ * longest run that is already in order stay put). Items that kept their key but are no longer
+ * structurally equal (see {@link deep_equals}) are replaced. The patch is a plain array of
+ * objects, so it can be serialized as JSON as long as the items can.
+ *
+ * Keys must be unique within each array.
+ *
+ * @param {map~Mapper} mapper - Mapper used to produce the key for each item
+ * @param {Array|Iterable} before - Original array
+ * @param {Array|Iterable} after - Array the patch should produce
+ * @returns {Array<diff~Operation>} - The operations to apply, in order
+ *
+ * @example <caption>Diff two lists of records</caption>
+ * let before = [{ id: 1 }, { id: 2 }, { id: 3 }];
+ * let after = [{ id: 3 }, { id: 1 }, { id: 4 }];
+ * let result = diff(({id}) => id, before, after);
+ * console.log(result)
+ * // [
+ * //   { op: 'remove', index: 1, key: 2 },
+ * //   { op: 'move', from: 0, to: 1, key: 1 },
+ * //   { op: 'insert', index: 2, key: 4, value: { id: 4 } }
+ * // ]
+ *
+ */
+export const diff = checked('diff', diff_params, (mapper, before, after) => {
+  const source = as_array(before);
+  const target = as_array(after);
+  const source_keys = map(mapper, source);
+  const target_keys = map(mapper, target);
+  const target_positions = positions_by_key(target_keys);
+  const patch = [];
+
+  positions_by_key(source_keys);
+  each_in_reverse((key, index) => {
+    if (!target_positions.has(key)) patch.push({ op: 'remove', index, key });
+  }, source_keys);
+
+  const entries = filter(
+    ({ key }) => target_positions.has(key),
+    map((key, index) => ({ key, value: source[index] }), source_keys)
+  );
+  const ordered = longest_increasing_run(map(({ key }) => target_positions.get(key), entries));
+  const stable = new Set(map(index => entries[index].key, ordered));
+
+  each((key, index) => {
+    if (stable.has(key)) return;
+
+    const from = index_of_key(key, entries);
+    const entry = from === -1 ? { key, value: target[index] } : entries.splice(from, 1)[0];
+    const to = index === 0 ? 0 : index_of_key(target_keys[index - 1], entries) + 1;
+
+    entries.splice(to, 0, entry);
+    if (from === -1) patch.push({ op: 'insert', index: to, key, value: entry.value });
+    else if (from !== to) patch.push({ op: 'move', from, to, key });
+  }, target_keys);
+
+  each((entry, index) => {
+    if (!deep_equals(entry.value, target[index]))
+      patch.push({ op: 'replace', index, key: entry.key, value: target[index] });
+  }, entries);
+
+  return patch;
+});
+
+const patch_params = { patch: collection, target: collection };
+
+const patch_operations = {
+  remove: (items, { index }) => items.splice(index, 1),
+  insert: (items, { index, value }) => items.splice(index, 0, value),
+  move: (items, { from, to }) => items.splice(to, 0, ...items.splice(from, 1)),
+  replace: (items, { index, value }) => items.splice(index, 1, value)
+};
+
+/**
+ * Apply a patch produced by {@link diff} to an array. The target is not modified, a new
+ * array containing the result of applying each operation in order is returned.
+ *
+ * @param {Array<diff~Operation>} patch - Operations to apply
+ * @param {Array|Iterable} target - Array to apply the patch to
+ *
+ * @example <caption>Replay a diff</caption>
+ * let patch = diff(({id}) => id, before, after);
+ * let result = apply_patch(patch, before);
+ * console.log(result) // same items as after
+ *
+ */
+export const apply_patch = checked('apply_patch', patch_params, (patch, target) =>
+  reduce(
+    as_array(target),
+    (items, operation) => {
+      const apply = patch_operations[operation.op];
+      if (apply === undefined) throw new Error(`unknown patch operation: ${operation.op}`);
+
+      apply(items, operation);
+      return items;
+    },
+    patch
+  )
+);
+
+export const generate = validated('generate', { number: integer, mapper: callable }, (number, mapper) =>
+  map((_, index) => mapper(index), new Array(number).fill(null))
+);
 
-export const generate = (number, mapper) => map((_, index) => mapper(index), new Array(number).fill(null));
+export { reduced, is_reduced, configure };
 
 export default {
   each,
@@ -503,18 +2741,101 @@ export default {
   each_in_reverse_until,
   last,
   first,
+  try_first,
+  try_last,
+  first_or,
+  last_or,
   all,
   any,
   none,
+  find_index,
+  find_last_index,
+  index_of_by,
   filter,
   map,
+  map_typed,
+  filter_typed,
   flat_map,
   flatten,
+  flatten_depth,
   uniq,
+  uniq_by_last,
+  uniq_with,
+  deep_equals,
+  union,
+  union_by,
+  union_with,
+  intersection,
+  intersection_by,
+  intersection_with,
+  difference,
+  difference_by,
+  difference_with,
+  symmetric_difference,
+  symmetric_difference_by,
+  symmetric_difference_with,
+  group_by,
+  group_by_object,
+  index_by,
+  index_by_object,
+  count_by,
+  count_by_object,
+  partition,
+  inner_join,
+  left_join,
+  right_join,
+  full_outer_join,
+  semi_join,
+  anti_join,
+  chunk,
+  sliding_window,
+  pairwise,
+  split_at,
+  split_when,
+  take,
+  take_while,
+  take_last,
+  take_last_while,
+  drop,
+  drop_while,
+  drop_last,
+  zip,
+  zip_with,
+  zip_longest,
+  unzip,
+  zip_object,
+  insert_at,
+  remove_at,
+  update_at,
+  update_where,
+  remove_where,
+  move,
+  swap,
   true_for_all: all,
   reduce,
+  reduced,
+  is_reduced,
+  configure,
   sort,
+  sort_by,
+  binary_search,
+  sorted_insert_index,
+  topo_sort,
+  topo_levels,
+  CycleError,
+  ascending,
+  descending,
+  collate,
+  diff,
+  apply_patch,
   min,
+  min_or,
+  min_by,
+  min_with,
   max,
+  max_or,
+  max_by,
+  max_with,
+  min_max,
   generate
 };
@@ -0,0 +1,301 @@
+import { lazy } from './lazy';
+import { close } from './internal';
+import { is_reduced, unreduced } from './reduced';
+import { any_value, async_collection, callable, checked, integer_or_infinity } from './validate';
+
+/**
+ * An async visitor processes each element in a data structure and may return a promise.
+ * A value (or resolved value) of false will cause iteration to stop.
+ * @callback each_async~Visitor
+ * @param {any} item - Item that is currently being processed
+ * @param {Number} [index] - Index of the item that is being processed
+ * @param {Array|Iterable|AsyncIterable} [target] - Target that is currently being iterated over
+ * @returns {undefined|Boolean|Promise} - Returning (or resolving to) false will cause the iterator to stop
+ */
+
+const iterator_for = target => {
+  if (target != null && typeof target[Symbol.asyncIterator] === 'function')
+    return target[Symbol.asyncIterator]();
+
+  return lazy(target)[Symbol.iterator]();
+};
+
+const run = (concurrency, visitor, target) =>
+  new Promise((resolve, reject) => {
+    const iterator = iterator_for(target);
+    let index = 0;
+    let active = 0;
+    let pulling = false;
+    let exhausted = false;
+    let stopped = false;
+
+    const stop = () => {
+      if (stopped || exhausted) return;
+      stopped = true;
+      close(iterator);
+    };
+
+    const fail = error => {
+      stop();
+      reject(error);
+    };
+
+    const launch = () => {
+      if (stopped || exhausted) {
+        if (active === 0 && !pulling) resolve();
+        return;
+      }
+      if (pulling || active >= Math.max(concurrency, 1)) return;
+
+      pulling = true;
+      Promise.resolve()
+        .then(() => iterator.next())
+        .then(step => {
+          pulling = false;
+          if (step.done) exhausted = true;
+          if (step.done || stopped) return launch();
+
+          const current = index++;
+          active++;
+          Promise.resolve()
+            .then(() => visitor(step.value, current, target))
+            .then(result => {
+              active--;
+              if (result === false) stop();
+              launch();
+            }, fail);
+          launch();
+        }, fail);
+    };
+
+    launch();
+  });
+
+const concurrent_params = param => ({
+  concurrency: integer_or_infinity,
+  [param]: callable,
+  target: async_collection
+});
+
+const reduce_params = { initial_value: any_value, reducer: callable, target: async_collection };
+
+const with_concurrency = (name, param, fn) => {
+  const curried = checked(name, concurrent_params(param), fn);
+
+  return (concurrency_or_first, ...rest) =>
+    typeof concurrency_or_first === 'number'
+      ? curried(concurrency_or_first, ...rest)
+      : curried(1, concurrency_or_first, ...rest);
+};
+
+/**
+ * Iterates over a target, awaiting the visitor for each element, until the visitor
+ * returns (or resolves to) false. The target can be an array, any iterable or an async iterable.
+ *
+ * An optional concurrency limit can be provided as the first argument, in which
+ * case up to that many visitors will be in flight at once. Without a limit, items
+ * are visited one at a time. Once a visitor resolves to false no new items are started,
+ * though visitors that are already running are allowed to finish.
+ *
+ * @param {Number} [concurrency] - Maximum number of visitors to run at the same time (defaults to 1)
+ * @param {each_async~Visitor} visitor - Function to invoke against each element
+ * @param {Array|Iterable|AsyncIterable} target - Target to iterate over
+ * @returns {Promise} - Resolves once iteration has completed
+ *
+ * @example <caption>Upload files one at a time, stopping at the first failure</caption>
+ * each_until_async(file => upload(file).then(({ok}) => ok), files)
+ *
+ * @example <caption>Upload files with up to 4 uploads in flight at once</caption>
+ * each_until_async(4, file => upload(file).then(({ok}) => ok), files)
+ *
+ */
+export const each_until_async = with_concurrency(
+  'each_until_async',
+  'visitor',
+  (concurrency, visitor, target) => run(concurrency, visitor, target)
+);
+
+/**
+ * Iterates over a target, awaiting the visitor for each element. The value the visitor
+ * resolves to is ignored, so every element is visited.
+ *
+ * @param {Number} [concurrency] - Maximum number of visitors to run at the same time (defaults to 1)
+ * @param {each_async~Visitor} visitor - Function to invoke against each element
+ * @param {Array|Iterable|AsyncIterable} target - Target to iterate over
+ * @returns {Promise} - Resolves once every element has been visited
+ *
+ * @example <caption>Delete files with up to 8 deletions in flight at once</caption>
+ * each_async(8, file => remove(file), files).then(() => console.log('done'))
+ *
+ */
+export const each_async = with_concurrency('each_async', 'visitor', (concurrency, visitor, target) =>
+  run(concurrency, (...args) => Promise.resolve(visitor(...args)).then(() => true), target)
+);
+
+/**
+ * Maps each element in a target using a mapper that may return a promise. The results
+ * are in the same order as the elements in the target, regardless of the order in which
+ * the mappers resolved.
+ *
+ * @param {Number} [concurrency] - Maximum number of mappers to run at the same time (defaults to 1)
+ * @param {map~Mapper} mapper - Mapper that returns a result or a promise of a result
+ * @param {Array|Iterable|AsyncIterable} target - Target containing items to be mapped
+ * @returns {Promise<Array>} - Resolves to the mapped results
+ *
+ * @example <caption>Read files with up to 4 reads in flight at once</caption>
+ * map_async(4, file => read_file(file), files).then(contents => console.log(contents))
+ *
+ */
+export const map_async = with_concurrency('map_async', 'mapper', (concurrency, mapper, target) => {
+  const results = [];
+
+  return run(
+    concurrency,
+    (value, index, ...rest) =>
+      Promise.resolve(mapper(value, index, ...rest)).then(result => {
+        results[index] = result;
+      }),
+    target
+  ).then(() => results);
+});
+
+/**
+ * Filters a target using a predicate that may return a promise. The results are in the
+ * same order as the elements in the target.
+ *
+ * @param {Number} [concurrency] - Maximum number of predicates to run at the same time (defaults to 1)
+ * @param {match~Predicate} constraint - Predicate that returns a boolean or a promise of a boolean
+ * @param {Array|Iterable|AsyncIterable} target - Target containing items to be checked
+ * @returns {Promise<Array>} - Resolves to the items that matched
+ *
+ * @example <caption>Filter for files that exist</caption>
+ * filter_async(4, file => exists(file), files).then(existing => console.log(existing))
+ *
+ */
+export const filter_async = with_concurrency(
+  'filter_async',
+  'constraint',
+  (concurrency, constraint, target) => {
+    const matches = [];
+
+    return run(
+      concurrency,
+      (value, index, ...rest) =>
+        Promise.resolve(constraint(value, index, ...rest)).then(match => {
+          matches[index] = { match: !!match, value };
+        }),
+      target
+    ).then(() => matches.filter(({ match }) => match).map(({ value }) => value));
+  }
+);
+
+/**
+ * Performs a fold using a reducer that may return a promise. As each step depends on the
+ * accumulator produced by the previous one, items are always processed one at a time. If the
+ * reducer returns (or resolves to) a value wrapped with {@link reduced}, no more items are
+ * processed and the wrapped value becomes the result.
+ *
+ * @param {any} initial_value - The initial result of the accumulator
+ * @param {reduce~Reducer} reducer - Reducer that returns the accumulator or a promise of it
+ * @param {Array|Iterable|AsyncIterable} target - Target containing items to be folded
+ * @returns {Promise} - Resolves to the accumulated result
+ *
+ * @example <caption>Sum the sizes of all files</caption>
+ * reduce_async(0, (total, file) => size(file).then(bytes => total + bytes), files)
+ *
+ */
+export const reduce_async = checked('reduce_async', reduce_params, (initial_value, reducer, target) => {
+  let accumulator = initial_value;
+
+  return run(
+    1,
+    (value, index, array) =>
+      Promise.resolve(reducer(accumulator, value, index, array)).then(result => {
+        accumulator = result;
+        return !is_reduced(accumulator);
+      }),
+    target
+  ).then(() => unreduced(accumulator));
+});
+
+const first_index_matching = (concurrency, condition, target) => {
+  let first_match = null;
+
+  return run(
+    concurrency,
+    (value, index, ...rest) =>
+      Promise.resolve(condition(value, index, ...rest)).then(match => {
+        if (!match) return true;
+        if (first_match === null || index < first_match.index) first_match = { index, value };
+        return false;
+      }),
+    target
+  ).then(() => first_match);
+};
+
+/**
+ * Find the first item that matches a predicate that may return a promise. When a
+ * concurrency limit is provided, the result is still the match that appears first
+ * in the target. No new items are checked once a match has been found.
+ *
+ * @param {Number} [concurrency] - Maximum number of predicates to run at the same time (defaults to 1)
+ * @param {match~Predicate} condition - Predicate that returns a boolean or a promise of a boolean
+ * @param {Array|Iterable|AsyncIterable} target - Target containing items to be checked
+ * @returns {Promise} - Resolves to the first matching item, or undefined if nothing matched
+ *
+ * @example <caption>Find the first file that exists</caption>
+ * first_async(file => exists(file), files).then(file => console.log(file))
+ *
+ */
+export const first_async = with_concurrency('first_async', 'condition', (concurrency, condition, target) =>
+  first_index_matching(concurrency, condition, target).then(match => (match ? match.value : undefined))
+);
+
+/**
+ * Determine if any item matches a predicate that may return a promise. As soon as a
+ * match is found, no new items are checked.
+ *
+ * @param {Number} [concurrency] - Maximum number of predicates to run at the same time (defaults to 1)
+ * @param {match~Predicate} condition - Predicate that returns a boolean or a promise of a boolean
+ * @param {Array|Iterable|AsyncIterable} target - Target containing items to be checked
+ * @returns {Promise<Boolean>} - Resolves to whether any item matched
+ *
+ * @example <caption>Check if any of the files exist</caption>
+ * any_async(file => exists(file), files).then(result => console.log(result))
+ *
+ */
+export const any_async = with_concurrency('any_async', 'condition', (concurrency, condition, target) =>
+  first_index_matching(concurrency, condition, target).then(match => match !== null)
+);
+
+/**
+ * Determine if all of the items match a predicate that may return a promise. As soon as
+ * an item does not match, no new items are checked.
+ *
+ * @param {Number} [concurrency] - Maximum number of predicates to run at the same time (defaults to 1)
+ * @param {match~Predicate} condition - Predicate that returns a boolean or a promise of a boolean
+ * @param {Array|Iterable|AsyncIterable} target - Target containing items to be checked
+ * @returns {Promise<Boolean>} - Resolves to whether every item matched
+ *
+ * @example <caption>Check if all of the files exist</caption>
+ * all_async(file => exists(file), files).then(result => console.log(result))
+ *
+ */
+export const all_async = with_concurrency('all_async', 'condition', (concurrency, condition, target) =>
+  first_index_matching(
+    concurrency,
+    (...args) => Promise.resolve(condition(...args)).then(match => !match),
+    target
+  ).then(mismatch => mismatch === null)
+);
+
+export default {
+  each_async,
+  each_until_async,
+  map_async,
+  filter_async,
+  reduce_async,
+  first_async,
+  any_async,
+  all_async
+};
@@ -0,0 +1,269 @@
+import sut from './async';
+import { configure } from './config';
+import { reduced } from './reduced';
+
+describe('async array utils', function() {
+  let items;
+  let result;
+
+  const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+  const async_iterable = values => ({
+    [Symbol.asyncIterator]: () => {
+      let index = 0;
+      const step = () =>
+        index < values.length ? { done: false, value: values[index++] } : { done: true, value: undefined };
+      return { next: () => delay(1, step()) };
+    }
+  });
+
+  beforeEach(function() {
+    items = [1, 2, 3, 4];
+  });
+
+  describe('visiting each element until told to stop', function() {
+    let values_visited;
+
+    beforeEach(function() {
+      values_visited = [];
+    });
+
+    beforeEach(function() {
+      return sut.each_until_async(value => {
+        values_visited.push(value);
+        return delay(1, values_visited.length < 3);
+      }, items);
+    });
+
+    it('iteration stops when the visitor resolves to false', function() {
+      expect(values_visited).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('visiting each element', function() {
+    let values_visited;
+
+    beforeEach(function() {
+      values_visited = [];
+    });
+
+    beforeEach(function() {
+      return sut.each_async(
+        (value, index) =>
+          delay(5 - value, false).then(() => {
+            values_visited.push([value, index]);
+          }),
+        items
+      );
+    });
+
+    it('waits for each visitor before starting the next one', function() {
+      expect(values_visited).toEqual([
+        [1, 0],
+        [2, 1],
+        [3, 2],
+        [4, 3]
+      ]);
+    });
+  });
+
+  describe('mapping with a concurrency limit', function() {
+    let active;
+    let most_active;
+
+    beforeEach(function() {
+      active = 0;
+      most_active = 0;
+    });
+
+    beforeEach(function() {
+      return sut
+        .map_async(
+          2,
+          value => {
+            active++;
+            most_active = Math.max(active, most_active);
+            return delay(10 - value * 2, value * 10).then(mapped => {
+              active--;
+              return mapped;
+            });
+          },
+          items
+        )
+        .then(results => {
+          result = results;
+        });
+    });
+
+    it('returns the results in the order of the items', function() {
+      expect(result).toEqual([10, 20, 30, 40]);
+    });
+
+    it('never runs more mappers at once than the limit', function() {
+      expect(most_active).toEqual(2);
+    });
+  });
+
+  describe('mapping with a partially applied concurrency limit', function() {
+    it('returns the mapped results', function() {
+      const deferred = sut.map_async(3, value => delay(1, value * 2));
+      return deferred(items).then(results => expect(results).toEqual([2, 4, 6, 8]));
+    });
+  });
+
+  describe('filtering', function() {
+    it('returns the items that match in order', function() {
+      return sut
+        .filter_async(4, value => delay(5 - value, value % 2 === 0), items)
+        .then(results => expect(results).toEqual([2, 4]));
+    });
+  });
+
+  describe('reducing', function() {
+    it('passes the resolved accumulator to each step', function() {
+      return sut
+        .reduce_async(0, (sum, value) => delay(1, sum + value), items)
+        .then(total => expect(total).toEqual(10));
+    });
+
+    it('stops once the reducer resolves to a reduced value', function() {
+      let visited = 0;
+
+      return sut
+        .reduce_async(
+          0,
+          (sum, value) => {
+            visited++;
+            return delay(1, sum + value >= 3 ? reduced(sum + value) : sum + value);
+          },
+          items
+        )
+        .then(total => {
+          expect(total).toEqual(3);
+          expect(visited).toEqual(2);
+        });
+    });
+  });
+
+  describe('finding the first match', function() {
+    let times_called;
+
+    beforeEach(function() {
+      times_called = 0;
+    });
+
+    it('does not check items after the match', function() {
+      return sut
+        .first_async(value => {
+          times_called++;
+          return delay(1, value % 2 === 0);
+        }, items)
+        .then(match => {
+          expect(match).toEqual(2);
+          expect(times_called).toEqual(2);
+        });
+    });
+
+    it('returns the earliest match even when a later match resolves first', function() {
+      return sut
+        .first_async(4, value => delay(10 - value * 2, value > 1), items)
+        .then(match => expect(match).toEqual(2));
+    });
+
+    it('returns undefined when nothing matches', function() {
+      return sut.first_async(value => value > 10, items).then(match => expect(match).toBeUndefined());
+    });
+  });
+
+  describe('checking conditions', function() {
+    it('any resolves to whether an item matches', function() {
+      return Promise.all([
+        sut.any_async(value => delay(1, value > 3), items),
+        sut.any_async(value => delay(1, value > 4), items)
+      ]).then(results => expect(results).toEqual([true, false]));
+    });
+
+    it('all resolves to whether every item matches', function() {
+      return Promise.all([
+        sut.all_async(value => delay(1, value > 0), items),
+        sut.all_async(value => delay(1, value > 1), items)
+      ]).then(results => expect(results).toEqual([true, false]));
+    });
+
+    it('all stops checking once an item does not match', function() {
+      let times_called = 0;
+      return sut
+        .all_async(value => {
+          times_called++;
+          return value < 2;
+        }, items)
+        .then(() => expect(times_called).toEqual(2));
+    });
+  });
+
+  describe('iterating an async iterable', function() {
+    it('visits each of the values it produces', function() {
+      return sut
+        .map_async(value => value * 2, async_iterable([1, 2, 3]))
+        .then(results => expect(results).toEqual([2, 4, 6]));
+    });
+  });
+
+  describe('when a visitor fails', function() {
+    it('rejects with the error from a rejected promise', function() {
+      const error = new Error('failed');
+      return sut
+        .each_async(() => Promise.reject(error), items)
+        .then(
+          () => {
+            throw new Error('expected a rejection');
+          },
+          reason => expect(reason).toBe(error)
+        );
+    });
+
+    it('rejects with the error thrown by the visitor', function() {
+      return sut
+        .map_async(
+          2,
+          () => {
+            throw new Error('thrown');
+          },
+          items
+        )
+        .then(
+          () => {
+            throw new Error('expected a rejection');
+          },
+          reason => expect(reason.message).toEqual('thrown')
+        );
+    });
+  });
+
+  describe('checking arguments in strict mode', function() {
+    beforeEach(function() {
+      configure({ strict: true });
+    });
+
+    afterEach(function() {
+      configure({ strict: false });
+    });
+
+    it('accepts async iterables as targets', function() {
+      return sut
+        .map_async(value => value * 2, async_iterable(items))
+        .then(doubled => {
+          expect(doubled).toEqual([2, 4, 6, 8]);
+        });
+    });
+
+    it('throws before starting when an argument is of the wrong kind', function() {
+      expect(() => sut.map_async(2.5, value => value, items)).toThrow(
+        'map_async expects concurrency to be an integer or Infinity'
+      );
+      expect(() => sut.filter_async(items, value => value)).toThrow(
+        'filter_async expects constraint to be a function'
+      );
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const settings = {
+  snapshot: false,
+  strict: false
+};
+
+/**
+ * Library wide settings
+ * @typedef {Object} configure~Settings
+ * @property {Boolean} [snapshot=false] - When true, typed arrays are copied before they are
+ * iterated, the same as regular arrays, so a visitor that modifies the typed array does not
+ * affect the items that are visited. When false, typed arrays are iterated in place.
+ * @property {Boolean} [strict=false] - When true, the arguments of each function are checked
+ * before it runs, and a TypeError naming the function and the parameter is thrown for an
+ * argument of the wrong kind, such as a target that is not iterable or a mapper that is not a
+ * function. Calls that the library makes on its own behalf are not checked, so the error always
+ * names a function that was called directly or from a callback. Meant for development, as every
+ * call pays for the checks.
+ */
+
+/**
+ * Change library wide settings. Only the settings that are provided are changed.
+ *
+ * @param {configure~Settings} options - Settings to change
+ * @returns {configure~Settings} - The settings that were in place before the change, which
+ * can be passed back to configure to restore them
+ *
+ * @example <caption>Copy typed arrays before iterating them</caption>
+ * configure({ snapshot: true });
+ *
+ * @example <caption>Check arguments everywhere but in production</caption>
+ * configure({ strict: process.env.NODE_ENV !== 'production' });
+ *
+ */
+export const configure = options => {
+  const previous = Object.assign({}, settings);
+
+  Object.assign(settings, options);
+  return previous;
+};
+
+/**
+ * Get the current value of a setting
+ *
+ * @param {String} name - Name of the setting
+ * @returns {any} - The value of the setting
+ */
+export const setting = name => settings[name];
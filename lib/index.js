@@ -1,2 +1,10 @@
 export * from './arrays';
+export * from './async';
 export { default } from './arrays';
+export { lazy, default as seq } from './lazy';
+export { transduce, into, default as xf } from './transducers';
+export * from './stats';
+export { default as stats } from './stats';
+export { aggregate, pivot, aggregators } from './aggregate';
+export * from './trees';
+export { default as trees } from './trees';
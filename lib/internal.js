@@ -0,0 +1,31 @@
+import { collection, integer } from './validate';
+
+/**
+ * Parameters of the functions that produce windows of items, such as sliding_window
+ */
+export const window_params = { size: integer, step: integer, target: collection };
+
+/**
+ * Check that a size or step is a positive integer
+ *
+ * @param {String} name - Name of the parameter, used in the error
+ * @param {any} value - Value to check
+ * @throws {RangeError} When the value is not a positive integer
+ */
+export const ensure_positive_integer = (name, value) => {
+  if (!Number.isInteger(value) || value < 1)
+    throw new RangeError(`${name} must be a positive integer, got: ${value}`);
+};
+
+/**
+ * Let an iterator that has not been run to the end clean up, when it supports it. An async
+ * iterator is closed in the background, and a failure while closing it is ignored.
+ *
+ * @param {Iterator|AsyncIterator} iterator - Iterator to close
+ */
+export const close = iterator => {
+  if (typeof iterator.return !== 'function') return;
+
+  const result = iterator.return();
+  if (result != null && typeof result.then === 'function') result.then(undefined, () => {});
+};
@@ -0,0 +1,481 @@
+import {
+  any_value,
+  callable,
+  check,
+  checked,
+  collection,
+  integer,
+  integer_or_infinity,
+  validated
+} from './validate';
+import { close, ensure_positive_integer, window_params } from './internal';
+import { is_reduced, unreduced } from './reduced';
+
+const visitor_and_target = { visitor: callable, target: collection };
+const condition_and_target = { condition: callable, target: collection };
+const constraint_and_target = { constraint: callable, target: collection };
+const mapper_and_target = { mapper: callable, target: collection };
+const count_and_target = { count: integer_or_infinity, target: collection };
+const predicate_and_target = { predicate: callable, target: collection };
+const reduce_params = { initial_value: any_value, reducer: callable, target: collection };
+
+const sequence_marker = '@@arrays_js/sequence';
+
+const finished = () => ({ done: true, value: undefined });
+
+const sequence = create_iterator => ({
+  [sequence_marker]: true,
+  [Symbol.iterator]: create_iterator
+});
+
+const derived_iterator = (source, next) => ({
+  next,
+  return: () => {
+    close(source);
+    return finished();
+  }
+});
+
+const indexed_iterator = target => {
+  let index = 0;
+
+  return {
+    next: () => (index < target.length ? { done: false, value: target[index++] } : finished())
+  };
+};
+
+const is_sequence = target => target != null && target[sequence_marker] === true;
+
+/**
+ * Wraps a target in a lazy sequence. Nothing is evaluated until the sequence
+ * is consumed by one of the terminal operations ({@link to_array}, {@link first},
+ * {@link any}, {@link reduce}, {@link each}), and each item is pulled through the
+ * entire chain of operators before the next one is read, so no intermediate
+ * arrays are built.
+ *
+ * @param {Array|Iterable} target - Array, array-like or iterable to wrap
+ * @returns {Iterable} - A sequence that can be passed to any of the lazy operators
+ *
+ * @example <caption>Take the first 2 even numbers without visiting the whole array</caption>
+ * let numbers = [1, 2, 3, 4, 5, 6, 7, 8];
+ * let result = seq.to_array(seq.take(2, seq.filter(val => val % 2 === 0, lazy(numbers))));
+ * console.log(result) // [2, 4]
+ *
+ */
+export const lazy = validated('lazy', { target: collection }, target => {
+  if (is_sequence(target)) return target;
+  if (target == null) return sequence(() => ({ next: finished }));
+  if (typeof target[Symbol.iterator] === 'function') return sequence(() => target[Symbol.iterator]());
+
+  return sequence(() => indexed_iterator(target));
+});
+
+/**
+ * Pulls items from a sequence until the visitor returns false. This is the
+ * lazy counterpart to the array version of each_until.
+ *
+ * @param {each~Visitor} visitor - Function to invoke against each item pulled from the sequence
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to consume
+ *
+ * @example <caption>Log numbers until the number 5 has been processed</caption>
+ * each_until(val => { console.log(val); return val !== 5 }, lazy([3, 4, 5, 7]))
+ *
+ */
+export const each_until = checked('each_until', visitor_and_target, (visitor, target) => {
+  const iterator = lazy(target)[Symbol.iterator]();
+  let index = 0;
+
+  for (let step = iterator.next(); !step.done; step = iterator.next()) {
+    if (visitor(step.value, index++) === false) {
+      close(iterator);
+      return;
+    }
+  }
+});
+
+/**
+ * Pulls every item from a sequence and invokes the visitor against it.
+ *
+ * @param {each~Visitor} visitor - Function to invoke against each item pulled from the sequence
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to consume
+ *
+ * @example <caption>Log every doubled number</caption>
+ * each(console.log.bind(console), map(val => val * 2, lazy([1, 2, 3])))
+ *
+ */
+export const each = checked('each', visitor_and_target, (visitor, target) =>
+  each_until((...args) => {
+    visitor(...args);
+  }, target)
+);
+
+/**
+ * Performs a fold over a sequence, pulling each item through the chain of operators
+ * exactly once. If the reducer returns a value wrapped with {@link reduced}, no more items
+ * are pulled from the sequence and the wrapped value becomes the result.
+ *
+ * @param {any} initial_value - The initial result of the accumulator
+ * @param {reduce~Reducer} reducer - Function to invoke against each item in the sequence
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to fold
+ *
+ * @example <caption>Sum the squares of the odd numbers</caption>
+ * let odd_squares = map(val => val * val, filter(val => val % 2, lazy([1, 2, 3])));
+ * let result = reduce(0, (sum, val) => sum + val, odd_squares);
+ * console.log(result) // 10
+ *
+ */
+export const reduce = checked('reduce', reduce_params, (initial_value, reducer, target) => {
+  let accumulator = initial_value;
+
+  each_until((value, index) => {
+    accumulator = reducer(accumulator, value, index);
+    return !is_reduced(accumulator);
+  }, target);
+  return unreduced(accumulator);
+});
+
+/**
+ * Materializes a sequence into an array.
+ *
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to materialize
+ * @returns {Array} - Array containing every item produced by the sequence
+ *
+ * @example <caption>Materialize a mapped sequence</caption>
+ * let result = to_array(map(val => val * 2, lazy([1, 2, 3])));
+ * console.log(result) // [2, 4, 6]
+ *
+ */
+export const to_array = validated('to_array', { target: collection }, target =>
+  reduce(
+    [],
+    (acc, val) => {
+      acc.push(val);
+      return acc;
+    },
+    target
+  )
+);
+
+const first_with_target = checked('first', condition_and_target, (condition, target) => {
+  let result;
+
+  each_until((...args) => {
+    const match = condition(...args);
+
+    if (match) result = args[0];
+
+    return !match;
+  }, target);
+
+  return result;
+});
+
+/**
+ * Find the first item in a sequence, or the first item that matches the predicate
+ * when one is provided. No items past the match are pulled from the sequence. Returns
+ * undefined when nothing matched.
+ *
+ * @param {match~Predicate} [condition] - Condition used to match the item
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to search
+ *
+ * @example <caption>Get the first doubled number greater than 4</caption>
+ * let result = first(val => val > 4, map(val => val * 2, lazy([1, 2, 3, 4])));
+ * console.log(result) // 6
+ *
+ */
+export const first = (condition_or_target, ...rest) => {
+  if (typeof condition_or_target !== 'function') {
+    if (rest.length > 0) check('first', 'condition', callable, condition_or_target);
+    return first_with_target(() => true, condition_or_target);
+  }
+
+  return rest.length > 0
+    ? first_with_target(condition_or_target, rest.pop())
+    : first_with_target(condition_or_target);
+};
+
+/**
+ * Determine if any item in a sequence matches the predicate. As soon as a match
+ * is found, no more items are pulled from the sequence.
+ *
+ * @param {match~Predicate} condition - Condition used to match the item
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to search
+ *
+ * @example <caption>Check if any squared number is greater than 10</caption>
+ * let result = any(val => val > 10, map(val => val * val, lazy([1, 2, 3, 4])));
+ * console.log(result) // true
+ *
+ */
+export const any = checked('any', condition_and_target, (condition, target) => {
+  let result = false;
+
+  each_until((...args) => {
+    result = !!condition(...args);
+    return !result;
+  }, target);
+
+  return result;
+});
+
+/**
+ * Lazily maps each item in a sequence.
+ *
+ * @param {map~Mapper} mapper - Mapper invoked with the item and its index in the sequence
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to map
+ * @returns {Iterable} - A new sequence
+ *
+ * @example <caption>Double all numbers</caption>
+ * let result = to_array(map(val => val * 2, lazy([1, 2, 3])));
+ * console.log(result) // [2, 4, 6]
+ *
+ */
+export const map = checked('map', mapper_and_target, (mapper, target) => {
+  const source = lazy(target);
+
+  return sequence(() => {
+    const iterator = source[Symbol.iterator]();
+    let index = 0;
+
+    return derived_iterator(iterator, () => {
+      const step = iterator.next();
+      return step.done ? step : { done: false, value: mapper(step.value, index++) };
+    });
+  });
+});
+
+/**
+ * Lazily filters a sequence to the items that match the predicate.
+ *
+ * @param {match~Predicate} constraint - Condition used to match the item
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to filter
+ * @returns {Iterable} - A new sequence
+ *
+ * @example <caption>Filter for all even numbers</caption>
+ * let result = to_array(filter(val => val % 2 === 0, lazy([1, 2, 3, 4])));
+ * console.log(result) // [2, 4]
+ *
+ */
+export const filter = checked('filter', constraint_and_target, (constraint, target) => {
+  const source = lazy(target);
+
+  return sequence(() => {
+    const iterator = source[Symbol.iterator]();
+    let index = 0;
+
+    return derived_iterator(iterator, () => {
+      for (let step = iterator.next(); !step.done; step = iterator.next()) {
+        if (constraint(step.value, index++)) return step;
+      }
+      return finished();
+    });
+  });
+});
+
+/**
+ * Lazily maps each item in a sequence, flattening any mapped result that is an array.
+ *
+ * @param {map~Mapper} mapper - Mapper invoked with the item and its index in the sequence
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to map
+ * @returns {Iterable} - A new sequence
+ *
+ * @example <caption>Gets the numbers with their doubles</caption>
+ * let result = to_array(flat_map(val => [val, val * 2], lazy([1, 2])));
+ * console.log(result) // [1, 2, 2, 4]
+ *
+ */
+export const flat_map = checked('flat_map', mapper_and_target, (mapper, target) => {
+  const source = lazy(target);
+
+  return sequence(() => {
+    const iterator = source[Symbol.iterator]();
+    let index = 0;
+    let inner = indexed_iterator([]);
+
+    return derived_iterator(iterator, () => {
+      let item = inner.next();
+
+      while (item.done) {
+        const step = iterator.next();
+        if (step.done) return step;
+
+        const mapped = mapper(step.value, index++);
+        inner = indexed_iterator(Array.isArray(mapped) ? mapped : [mapped]);
+        item = inner.next();
+      }
+      return item;
+    });
+  });
+});
+
+/**
+ * Lazily takes at most count items from a sequence. Once count items have been
+ * produced, the underlying sequence is no longer read.
+ *
+ * @param {Number} count - Maximum number of items to take
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to take from
+ * @returns {Iterable} - A new sequence
+ *
+ * @example <caption>Take the first 2 numbers</caption>
+ * let result = to_array(take(2, lazy([1, 2, 3, 4])));
+ * console.log(result) // [1, 2]
+ *
+ */
+export const take = checked('take', count_and_target, (count, target) => {
+  const source = lazy(target);
+
+  return sequence(() => {
+    const iterator = source[Symbol.iterator]();
+    let remaining = count;
+
+    return derived_iterator(iterator, () => {
+      if (remaining <= 0) return finished();
+
+      const step = iterator.next();
+      remaining = step.done ? 0 : remaining - 1;
+      if (remaining === 0 && !step.done) close(iterator);
+      return step;
+    });
+  });
+});
+
+/**
+ * Lazily splits a sequence into chunks of the given size. Each chunk is only read from the
+ * underlying sequence when it is requested. The last chunk may be smaller.
+ *
+ * @param {Number} size - Number of items in each chunk, must be a positive integer
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to chunk
+ * @returns {Iterable} - A new sequence of arrays
+ *
+ * @example <caption>Read the first 2 batches of a large sequence</caption>
+ * let result = to_array(take(2, chunk(100, lazy(ids))));
+ *
+ */
+export const chunk = checked('chunk', { size: integer, target: collection }, (size, target) => {
+  ensure_positive_integer('size', size);
+  const source = lazy(target);
+
+  return sequence(() => {
+    const iterator = source[Symbol.iterator]();
+    let exhausted = false;
+
+    return derived_iterator(iterator, () => {
+      const items = [];
+
+      while (!exhausted && items.length < size) {
+        const step = iterator.next();
+        if (step.done) exhausted = true;
+        else items.push(step.value);
+      }
+      return items.length > 0 ? { done: false, value: items } : finished();
+    });
+  });
+});
+
+/**
+ * Lazily produces each window of size consecutive items, starting a new window every step
+ * items. Only complete windows are produced.
+ *
+ * @param {Number} size - Number of items in each window, must be a positive integer
+ * @param {Number} step - Number of items between the start of each window, must be a positive integer
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to window
+ * @returns {Iterable} - A new sequence of arrays
+ *
+ * @example <caption>Get the moving windows of 3 readings</caption>
+ * let result = to_array(sliding_window(3, 1, lazy([1, 2, 3, 4])));
+ * console.log(result) // [[1, 2, 3], [2, 3, 4]]
+ *
+ */
+export const sliding_window = checked('sliding_window', window_params, (size, step, target) => {
+  ensure_positive_integer('size', size);
+  ensure_positive_integer('step', step);
+  const source = lazy(target);
+
+  return sequence(() => {
+    const iterator = source[Symbol.iterator]();
+    let previous = null;
+
+    return derived_iterator(iterator, () => {
+      const items = previous === null ? [] : previous.slice(Math.min(step, size));
+      let skip = previous === null ? 0 : Math.max(step - size, 0);
+
+      while (items.length < size) {
+        const next = iterator.next();
+        if (next.done) return finished();
+        if (skip > 0) skip--;
+        else items.push(next.value);
+      }
+      previous = items;
+      return { done: false, value: items.slice(0) };
+    });
+  });
+});
+
+/**
+ * Lazily produces each pair of adjacent items
+ *
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to pair
+ * @returns {Iterable} - A new sequence of pairs
+ *
+ * @example <caption>Get the change between each reading</caption>
+ * let result = to_array(map(([previous, next]) => next - previous, pairwise(lazy([1, 4, 9]))));
+ * console.log(result) // [3, 5]
+ *
+ */
+export const pairwise = validated('pairwise', { target: collection }, sliding_window(2, 1));
+
+/**
+ * Lazily splits a sequence into groups of adjacent items, starting a new group wherever the
+ * predicate matches a pair of adjacent items. Each group is only read from the underlying
+ * sequence when it is requested.
+ *
+ * @param {Function} predicate - Invoked with the previous item, the current item and the index
+ * of the current item. Returning true starts a new group at the current item.
+ * @param {Iterable} target - Sequence (or anything accepted by {@link lazy}) to split
+ * @returns {Iterable} - A new sequence of arrays
+ *
+ * @example <caption>Split readings wherever there is a gap of more than 1</caption>
+ * let result = to_array(split_when((previous, current) => current - previous > 1, lazy([1, 2, 5])));
+ * console.log(result) // [[1, 2], [5]]
+ *
+ */
+export const split_when = checked('split_when', predicate_and_target, (predicate, target) => {
+  const source = lazy(target);
+
+  return sequence(() => {
+    const iterator = source[Symbol.iterator]();
+    let pending = null;
+    let index = 0;
+
+    return derived_iterator(iterator, () => {
+      if (pending === null) pending = iterator.next();
+      if (pending.done) return pending;
+
+      const group = [pending.value];
+
+      for (pending = iterator.next(); !pending.done; pending = iterator.next()) {
+        index++;
+        if (predicate(group[group.length - 1], pending.value, index)) break;
+        group.push(pending.value);
+      }
+      return { done: false, value: group };
+    });
+  });
+});
+
+export default {
+  lazy,
+  each,
+  each_until,
+  reduce,
+  to_array,
+  first,
+  any,
+  map,
+  filter,
+  flat_map,
+  take,
+  chunk,
+  sliding_window,
+  pairwise,
+  split_when
+};
@@ -0,0 +1,321 @@
+import sut, { lazy } from './lazy';
+import { configure } from './config';
+import { reduced } from './reduced';
+
+describe('lazy sequences', function() {
+  let items;
+  let result;
+
+  beforeEach(function() {
+    items = [1, 2, 3, 4, 5, 6, 7, 8];
+  });
+
+  describe('wrapping a target', function() {
+    it('returns the same sequence when the target is already a sequence', function() {
+      const sequence = lazy(items);
+      expect(lazy(sequence)).toBe(sequence);
+    });
+
+    it('treats a null target as an empty sequence', function() {
+      expect(sut.to_array(lazy(null))).toEqual([]);
+    });
+
+    it('can be consumed more than once', function() {
+      const sequence = sut.map(value => value * 2, lazy([1, 2]));
+      expect(sut.to_array(sequence)).toEqual([2, 4]);
+      expect(sut.to_array(sequence)).toEqual([2, 4]);
+    });
+
+    it('accepts array-likes', function() {
+      expect(sut.to_array(lazy({ length: 2, 0: 'a', 1: 'b' }))).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('chaining operators', function() {
+    let mapped;
+    let filtered;
+
+    beforeEach(function() {
+      mapped = [];
+      filtered = [];
+    });
+
+    beforeEach(function() {
+      const sequence = sut.map(
+        value => {
+          mapped.push(value);
+          return value * 10;
+        },
+        sut.filter(value => {
+          filtered.push(value);
+          return value % 2 === 0;
+        }, lazy(items))
+      );
+      result = sut.to_array(sut.take(2, sequence));
+    });
+
+    it('returns the expected items', function() {
+      expect(result).toEqual([20, 40]);
+    });
+
+    it('stops reading the source once enough items have been taken', function() {
+      expect(filtered).toEqual([1, 2, 3, 4]);
+    });
+
+    it('only maps the items that made it through the filter', function() {
+      expect(mapped).toEqual([2, 4]);
+    });
+  });
+
+  describe('building a sequence without consuming it', function() {
+    let times_called;
+
+    beforeEach(function() {
+      times_called = 0;
+      sut.map(value => {
+        times_called++;
+        return value;
+      }, items);
+    });
+
+    it('does not evaluate the mapper', function() {
+      expect(times_called).toEqual(0);
+    });
+  });
+
+  describe('mapping', function() {
+    let indexes;
+
+    beforeEach(function() {
+      indexes = [];
+      result = sut.to_array(
+        sut.map((value, index) => {
+          indexes.push(index);
+          return `Value ${value}`;
+        }, lazy([1, 2]))
+      );
+    });
+
+    it('returns the mapped items', function() {
+      expect(result).toEqual(['Value 1', 'Value 2']);
+    });
+
+    it('provides the index correctly', function() {
+      expect(indexes).toEqual([0, 1]);
+    });
+  });
+
+  describe('flat mapping', function() {
+    it('flattens array results and keeps other results as is', function() {
+      result = sut.to_array(sut.flat_map(value => (value % 2 ? [value, value] : value), [1, 2, 3]));
+      expect(result).toEqual([1, 1, 2, 3, 3]);
+    });
+
+    it('skips empty array results', function() {
+      result = sut.to_array(sut.flat_map(value => value.items, [{ items: [] }, { items: [1, 2] }]));
+      expect(result).toEqual([1, 2]);
+    });
+  });
+
+  describe('taking items', function() {
+    it('returns all the items when there are fewer than requested', function() {
+      expect(sut.to_array(sut.take(10, [1, 2]))).toEqual([1, 2]);
+    });
+
+    it('returns no items when asked for none', function() {
+      expect(sut.to_array(sut.take(0, items))).toEqual([]);
+    });
+
+    it('closes the source once enough items have been taken', function() {
+      let closed = false;
+      const source = {
+        [Symbol.iterator]: () => ({
+          next: () => ({ done: false, value: 1 }),
+          return: () => {
+            closed = true;
+            return { done: true };
+          }
+        })
+      };
+
+      expect(sut.to_array(sut.take(3, source))).toEqual([1, 1, 1]);
+      expect(closed).toBeTruthy();
+    });
+  });
+
+  describe('splitting into pieces', function() {
+    let pulled;
+    let source;
+
+    beforeEach(function() {
+      pulled = 0;
+      source = sut.map(value => {
+        pulled++;
+        return value;
+      }, lazy(items));
+    });
+
+    it('only reads the chunks that are requested', function() {
+      expect(sut.to_array(sut.take(2, sut.chunk(3, source)))).toEqual([
+        [1, 2, 3],
+        [4, 5, 6]
+      ]);
+      expect(pulled).toEqual(6);
+    });
+
+    it('leaves the remainder in the last chunk', function() {
+      expect(sut.to_array(sut.chunk(3, items))).toEqual([
+        [1, 2, 3],
+        [4, 5, 6],
+        [7, 8]
+      ]);
+    });
+
+    it('only reads the windows that are requested', function() {
+      expect(sut.first(sut.sliding_window(3, 1, source))).toEqual([1, 2, 3]);
+      expect(pulled).toEqual(3);
+    });
+
+    it('skips the items between windows when the step is larger than the size', function() {
+      expect(sut.to_array(sut.sliding_window(2, 3, items))).toEqual([
+        [1, 2],
+        [4, 5],
+        [7, 8]
+      ]);
+    });
+
+    it('produces each pair of adjacent items', function() {
+      expect(sut.to_array(sut.pairwise([1, 4, 9]))).toEqual([
+        [1, 4],
+        [4, 9]
+      ]);
+    });
+
+    it('splits wherever the predicate matches adjacent items', function() {
+      const split = sut.split_when((previous, current) => current - previous > 1, [1, 2, 5, 6, 9]);
+      expect(sut.to_array(split)).toEqual([[1, 2], [5, 6], [9]]);
+    });
+
+    it('only reads the groups that are requested', function() {
+      expect(sut.first(sut.split_when((previous, current) => current % 3 === 0, source))).toEqual([1, 2]);
+      expect(pulled).toEqual(3);
+    });
+
+    it('does not read any groups until the first one is requested', function() {
+      const groups = sut.split_when((previous, current) => current < previous, source);
+      const iterator = groups[Symbol.iterator]();
+
+      expect(pulled).toEqual(0);
+      expect(iterator.next().value).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+  });
+
+  describe('first', function() {
+    let times_called;
+
+    beforeEach(function() {
+      times_called = 0;
+    });
+
+    beforeEach(function() {
+      const deferred = sut.first(function(value) {
+        times_called++;
+        return value % 2 === 0;
+      });
+      result = deferred(sut.map(value => value + 1, items));
+    });
+
+    it('returns the item that matches the condition', function() {
+      expect(result).toEqual(2);
+    });
+
+    it('does not pull any more items after the match', function() {
+      expect(times_called).toEqual(1);
+    });
+
+    it('returns the first item when no condition is provided', function() {
+      expect(sut.first(lazy(items))).toEqual(1);
+    });
+
+    it('returns undefined when nothing matches', function() {
+      expect(sut.first(value => value > 10, items)).toBeUndefined();
+    });
+
+    describe('when the strict setting is turned on', function() {
+      beforeEach(function() {
+        configure({ strict: true });
+      });
+
+      afterEach(function() {
+        configure({ strict: false });
+      });
+
+      it('names the condition when the target is passed before it', function() {
+        expect(() => sut.first(lazy(items), value => value > 1)).toThrow(
+          'first expects condition to be a function, received object'
+        );
+      });
+    });
+  });
+
+  describe('any', function() {
+    let times_called;
+
+    beforeEach(function() {
+      times_called = 0;
+      result = sut.any(value => {
+        times_called++;
+        return value > 2;
+      }, items);
+    });
+
+    it('returns true when an item matches', function() {
+      expect(result).toBeTruthy();
+    });
+
+    it('stops at the first match', function() {
+      expect(times_called).toEqual(3);
+    });
+
+    it('returns false when nothing matches', function() {
+      expect(sut.any(value => value > 10, items)).toBeFalsy();
+    });
+  });
+
+  describe('reducing', function() {
+    it('folds the sequence', function() {
+      result = sut.reduce(
+        0,
+        (sum, value) => sum + value,
+        sut.filter(value => value % 2, items)
+      );
+      expect(result).toEqual(16);
+    });
+
+    it('stops pulling items once the reducer returns a reduced value', function() {
+      let visited = 0;
+
+      result = sut.reduce(
+        0,
+        (sum, value) => {
+          visited++;
+          return sum + value >= 3 ? reduced(sum + value) : sum + value;
+        },
+        items
+      );
+      expect(result).toEqual(3);
+      expect(visited).toEqual(2);
+    });
+  });
+
+  describe('visiting each item until told to stop', function() {
+    it('stops when the visitor returns false', function() {
+      const visited = [];
+      sut.each_until(value => {
+        visited.push(value);
+        return value < 3;
+      }, items);
+      expect(visited).toEqual([1, 2, 3]);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Determine if a value should be left out of a numeric calculation
+ *
+ * @param {any} value - Value to check
+ * @returns {Boolean} - Whether the value is null, undefined or NaN
+ */
+export const is_missing_number = value => value == null || Number.isNaN(value);
+
+/**
+ * The state of a compensated sum before any values have been added
+ *
+ * @returns {Array} - The running total and the compensation for lost low-order bits
+ */
+export const empty_sum = () => [0, 0];
+
+/**
+ * Add a value to a compensated sum, using the Kahan-Babuska variant of
+ * {@link https://en.wikipedia.org/wiki/Kahan_summation_algorithm compensated summation}
+ *
+ * @param {Array} sum - State of the sum so far
+ * @param {Number} value - Value to add
+ * @returns {Array} - State of the sum including the value
+ */
+export const add_to_sum = ([total, compensation], value) => {
+  const next = total + value;
+  const lost = Math.abs(total) >= Math.abs(value) ? total - next + value : value - next + total;
+  return [next, compensation + lost];
+};
+
+/**
+ * Get the result of a compensated sum
+ *
+ * @param {Array} sum - State of the sum
+ * @returns {Number} - The total
+ */
+export const sum_total = ([total, compensation]) => {
+  if (!Number.isFinite(total)) return total;
+  return total + compensation;
+};
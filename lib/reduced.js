@@ -0,0 +1,41 @@
+const reduced_key = '@@transducer/reduced';
+const value_key = '@@transducer/value';
+
+/**
+ * Wraps a value to signal that a fold should stop and use the value as its result.
+ * The wrapper follows the `@@transducer/reduced` protocol, so it is understood by
+ * other transducer libraries as well.
+ *
+ * @param {any} value - Final result of the fold
+ * @returns {Object} - The wrapped value
+ *
+ * @example <caption>Stop summing once the total passes 5</caption>
+ * let result = reduce(0, (sum, val) => (sum > 5 ? reduced(sum) : sum + val), [1, 2, 3, 4, 5]);
+ * console.log(result) // 6
+ *
+ */
+export const reduced = value => ({ [reduced_key]: true, [value_key]: value });
+
+/**
+ * Determine if a value has been wrapped with {@link reduced}
+ *
+ * @param {any} value - Value to check
+ * @returns {Boolean} - Whether the value signals that the fold should stop
+ */
+export const is_reduced = value => value != null && value[reduced_key] === true;
+
+/**
+ * Unwraps a value that was wrapped with {@link reduced}, leaving any other value as is
+ *
+ * @param {any} value - Value to unwrap
+ * @returns {any} - The unwrapped value
+ */
+export const unreduced = value => (is_reduced(value) ? value[value_key] : value);
+
+/**
+ * Wraps a value with {@link reduced}, unless it has already been wrapped
+ *
+ * @param {any} value - Value to wrap
+ * @returns {Object} - The wrapped value
+ */
+export const ensure_reduced = value => (is_reduced(value) ? value : reduced(value));
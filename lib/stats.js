@@ -0,0 +1,230 @@
+import { filter, map, reduce, sort, sort_by, ascending, count_by } from './arrays';
+import { is_missing_number, empty_sum, add_to_sum, sum_total } from './numeric';
+import { any_value, callable, checked, collection, number } from './validate';
+
+/*
+ * Every statistic is calculated from the values produced by the mapper for each item.
+ * Values that are null, undefined or NaN are treated as missing and left out of the
+ * calculation, so a single bad record does not poison an aggregate.
+ */
+
+const mapper_and_target = { mapper: callable, target: collection };
+const percentile_params = { p: number, mapper: callable, target: collection };
+
+const values_of = (mapper, target) => filter(value => !is_missing_number(value), map(mapper, target));
+
+const compensated_sum = values => sum_total(reduce(empty_sum(), add_to_sum, values));
+
+const moments = values =>
+  reduce(
+    { count: 0, mean: 0, squared_deviations: 0 },
+    ({ count, mean, squared_deviations }, value) => {
+      const next_count = count + 1;
+      const delta = value - mean;
+      const next_mean = mean + delta / next_count;
+
+      return {
+        count: next_count,
+        mean: next_mean,
+        squared_deviations: squared_deviations + delta * (value - next_mean)
+      };
+    },
+    values
+  );
+
+const interpolated_percentile = (p, sorted) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Return the sum of the values produced by the mapper. Uses
+ * {@link https://en.wikipedia.org/wiki/Kahan_summation_algorithm compensated summation}
+ * so that rounding errors do not accumulate over large arrays. Returns 0 for an empty array.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value to add up
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the total amount of all orders</caption>
+ * let orders = [{ amount: 10 }, { amount: 2.5 }];
+ * let result = sum(({amount}) => amount, orders);
+ * console.log(result) // 12.5
+ *
+ */
+export const sum = checked('sum', mapper_and_target, (mapper, target) =>
+  compensated_sum(values_of(mapper, target))
+);
+
+/**
+ * Return the arithmetic mean of the values produced by the mapper. Returns undefined when
+ * there are no values.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value to average
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the average age</caption>
+ * let result = mean(({age}) => age, [{ age: 10 }, { age: 20 }]);
+ * console.log(result) // 15
+ *
+ */
+export const mean = checked('mean', mapper_and_target, (mapper, target) => {
+  const values = values_of(mapper, target);
+  return values.length === 0 ? undefined : compensated_sum(values) / values.length;
+});
+
+/**
+ * Return the p-th percentile of the values produced by the mapper, interpolating linearly
+ * between the two closest values when the percentile falls between them. Returns undefined
+ * when there are no values.
+ *
+ * @param {Number} p - Percentile to calculate, between 0 and 100 inclusive
+ * @param {map~Mapper} mapper - Mapper used to map the value
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the 90th percentile of response times</caption>
+ * let result = percentile(90, ({duration}) => duration, requests);
+ *
+ */
+export const percentile = checked('percentile', percentile_params, (p, mapper, target) => {
+  if (typeof p !== 'number' || !(p >= 0 && p <= 100))
+    throw new RangeError(`percentile must be between 0 and 100, got: ${p}`);
+
+  const values = sort(values_of(mapper, target));
+  return values.length === 0 ? undefined : interpolated_percentile(p, values);
+});
+
+/**
+ * Return the median of the values produced by the mapper. When there is an even number of
+ * values, the mean of the two middle values is returned. Returns undefined when there are
+ * no values.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the median of some numbers</caption>
+ * let result = median(val => val, [3, 1, 4, 2]);
+ * console.log(result) // 2.5
+ *
+ */
+export const median = checked('median', mapper_and_target, percentile(50));
+
+/**
+ * Return the value produced by the mapper that occurs most often. When more than one value
+ * occurs the most, the one that was seen first is returned. Returns undefined when there are
+ * no values.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the most common city</caption>
+ * let result = mode(({city}) => city, [{ city: 'MH' }, { city: 'CAL' }, { city: 'CAL' }]);
+ * console.log(result) // 'CAL'
+ *
+ */
+export const mode = checked(
+  'mode',
+  mapper_and_target,
+  (mapper, target) =>
+    reduce(
+      { value: undefined, count: 0 },
+      (best, [value, count]) => (count > best.count ? { value, count } : best),
+      count_by(value => value, values_of(mapper, target))
+    ).value
+);
+
+/**
+ * Return the population variance of the values produced by the mapper. Calculated in a
+ * single pass using Welford's algorithm so that it remains accurate for values with a large
+ * mean. Returns undefined when there are no values.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the variance of some numbers</caption>
+ * let result = variance(val => val, [2, 4, 4, 4, 5, 5, 7, 9]);
+ * console.log(result) // 4
+ *
+ */
+export const variance = checked('variance', mapper_and_target, (mapper, target) => {
+  const { count, squared_deviations } = moments(values_of(mapper, target));
+  return count === 0 ? undefined : squared_deviations / count;
+});
+
+/**
+ * Return the population standard deviation of the values produced by the mapper. Returns
+ * undefined when there are no values.
+ *
+ * @param {map~Mapper} mapper - Mapper used to map the value
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Get the standard deviation of some numbers</caption>
+ * let result = std_dev(val => val, [2, 4, 4, 4, 5, 5, 7, 9]);
+ * console.log(result) // 2
+ *
+ */
+export const std_dev = checked('std_dev', mapper_and_target, (mapper, target) => {
+  const result = variance(mapper, target);
+  return result === undefined ? undefined : Math.sqrt(result);
+});
+
+/**
+ * Count the items in each bucket produced by the bucket function. The result is a Map from
+ * each bucket to the number of items in it, ordered by bucket. Items whose bucket is missing
+ * are left out. Use {@link bucket_by_width} to create a bucket function for numeric values.
+ *
+ * @param {map~Mapper} bucket_fn - Produces the bucket for each item
+ * @param {Array|Iterable} target - Target array
+ *
+ * @example <caption>Count the people in each 10 year age band</caption>
+ * let result = histogram(bucket_by_width(10, ({age}) => age), people);
+ * console.log(result) // Map { 0 => 2, 10 => 5, 20 => 1 }
+ *
+ */
+export const histogram = checked(
+  'histogram',
+  { bucket_fn: callable, target: collection },
+  (bucket_fn, target) =>
+    new Map(
+      sort_by(
+        [ascending(([bucket]) => bucket)],
+        count_by(value => value, values_of(bucket_fn, target))
+      )
+    )
+);
+
+/**
+ * Create a bucket function for {@link histogram} that places each numeric value in a bucket of
+ * the given width. The bucket is identified by its lower bound.
+ *
+ * @param {Number} width - Width of each bucket
+ * @param {map~Mapper} mapper - Mapper used to map the value to place in a bucket
+ * @returns {map~Mapper} - The bucket function
+ *
+ * @example <caption>Place numbers in buckets of 5</caption>
+ * let bucket = bucket_by_width(5, val => val);
+ * console.log(bucket(12)) // 10
+ *
+ */
+export const bucket_by_width = checked(
+  'bucket_by_width',
+  { width: any_value, mapper: callable },
+  (width, mapper) => (...args) => {
+    const value = mapper(...args);
+    return is_missing_number(value) ? undefined : Math.floor(value / width) * width;
+  }
+);
+
+export default {
+  sum,
+  mean,
+  median,
+  mode,
+  percentile,
+  variance,
+  std_dev,
+  histogram,
+  bucket_by_width
+};
@@ -0,0 +1,158 @@
+import sut from './stats';
+import { configure } from './config';
+
+describe('stats', function() {
+  const identity = value => value;
+
+  describe('summing values', function() {
+    it('adds up the values produced by the mapper', function() {
+      expect(sut.sum(({ amount }) => amount, [{ amount: 10 }, { amount: 2.5 }])).toEqual(12.5);
+    });
+
+    it('does not accumulate rounding errors', function() {
+      const values = Array.from({ length: 10 }, () => 0.1);
+      expect(sut.sum(identity, values)).toEqual(1);
+    });
+
+    it('keeps small values that are added to a large total', function() {
+      expect(sut.sum(identity, [1, 1e100, 1, -1e100])).toEqual(2);
+    });
+
+    it('is 0 for an empty array', function() {
+      expect(sut.sum(identity, [])).toEqual(0);
+    });
+
+    it('skips missing values', function() {
+      expect(sut.sum(identity, [1, NaN, null, undefined, 2])).toEqual(3);
+    });
+
+    it('works with iterables', function() {
+      expect(sut.sum(identity, new Set([1, 2, 3]))).toEqual(6);
+    });
+  });
+
+  describe('averages', function() {
+    it('mean is the sum divided by the number of values', function() {
+      expect(sut.mean(identity, [1, 2, 3, 4])).toEqual(2.5);
+    });
+
+    it('mean ignores missing values when counting', function() {
+      expect(sut.mean(identity, [1, NaN, 3])).toEqual(2);
+    });
+
+    it('median is the middle value', function() {
+      expect(sut.median(identity, [5, 1, 3])).toEqual(3);
+    });
+
+    it('median is the mean of the two middle values for an even count', function() {
+      expect(sut.median(identity, [3, 1, 4, 2])).toEqual(2.5);
+    });
+
+    it('mode is the most common value', function() {
+      const people = [{ city: 'MH' }, { city: 'CAL' }, { city: 'CAL' }];
+      expect(sut.mode(({ city }) => city, people)).toEqual('CAL');
+    });
+
+    it('mode prefers the value seen first when there is a tie', function() {
+      expect(sut.mode(identity, [2, 1, 1, 2])).toEqual(2);
+    });
+
+    it('are undefined when there are no values', function() {
+      [sut.mean, sut.median, sut.mode].forEach(average => {
+        expect(average(identity, [])).toBeUndefined();
+        expect(average(identity, [NaN, null])).toBeUndefined();
+      });
+    });
+  });
+
+  describe('percentiles', function() {
+    const values = [15, 20, 35, 40, 50];
+
+    it('returns the smallest and largest values at the bounds', function() {
+      expect(sut.percentile(0, identity, values)).toEqual(15);
+      expect(sut.percentile(100, identity, values)).toEqual(50);
+    });
+
+    it('interpolates between the closest values', function() {
+      expect(sut.percentile(40, identity, values)).toEqual(29);
+    });
+
+    it('is undefined when there are no values', function() {
+      expect(sut.percentile(90, identity, [])).toBeUndefined();
+    });
+
+    it('throws when the percentile is out of range', function() {
+      expect(() => sut.percentile(101, identity, values)).toThrow(RangeError);
+      expect(() => sut.percentile(NaN, identity, values)).toThrow(RangeError);
+    });
+
+    describe('when the strict setting is turned on', function() {
+      beforeEach(function() {
+        configure({ strict: true });
+      });
+
+      afterEach(function() {
+        configure({ strict: false });
+      });
+
+      it('throws a type error when the percentile is not a number', function() {
+        expect(() => sut.percentile('50', identity, values)).toThrow(TypeError);
+        expect(() => sut.percentile('50', identity, values)).toThrow(
+          'percentile expects p to be a number, received string'
+        );
+      });
+    });
+
+    it('can be partially applied', function() {
+      const p90 = sut.percentile(90, identity);
+      expect(p90([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11])).toEqual(10);
+    });
+  });
+
+  describe('spread', function() {
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+
+    it('variance is the population variance', function() {
+      expect(sut.variance(identity, values)).toEqual(4);
+    });
+
+    it('std_dev is the square root of the variance', function() {
+      expect(sut.std_dev(identity, values)).toEqual(2);
+    });
+
+    it('remains accurate for values with a large mean', function() {
+      const shifted = values.map(value => value + 1e9);
+      expect(sut.variance(identity, shifted)).toBeCloseTo(4, 6);
+    });
+
+    it('is undefined when there are no values', function() {
+      expect(sut.variance(identity, [])).toBeUndefined();
+      expect(sut.std_dev(identity, [NaN])).toBeUndefined();
+    });
+  });
+
+  describe('histograms', function() {
+    it('counts the items in each bucket, ordered by bucket', function() {
+      const result = sut.histogram(sut.bucket_by_width(10, identity), [25, 3, 12, 7, 18, NaN]);
+      expect([...result]).toEqual([
+        [0, 2],
+        [10, 2],
+        [20, 1]
+      ]);
+    });
+
+    it('uses the bucket function to place each item', function() {
+      const result = sut.histogram(value => (value % 2 === 0 ? 'even' : 'odd'), [1, 2, 3]);
+      expect(result).toEqual(
+        new Map([
+          ['even', 1],
+          ['odd', 2]
+        ])
+      );
+    });
+
+    it('is empty for an empty array', function() {
+      expect(sut.histogram(identity, []).size).toEqual(0);
+    });
+  });
+});
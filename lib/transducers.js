@@ -0,0 +1,340 @@
+import { each, each_until } from './arrays';
+import { reduced, is_reduced, unreduced, ensure_reduced } from './reduced';
+import {
+  any_value,
+  callable,
+  check,
+  checked,
+  collection,
+  integer_or_infinity,
+  optional,
+  validated
+} from './validate';
+
+const init = '@@transducer/init';
+const step = '@@transducer/step';
+const result = '@@transducer/result';
+
+/**
+ * A transformer is an object following the `@@transducer` protocol, used as the
+ * reducing step of a {@link transduce}.
+ * @typedef {Object} transduce~Transformer
+ * @property {Function} @@transducer/init - Returns the initial accumulator
+ * @property {Function} @@transducer/step - Folds an item into the accumulator, may return
+ * a {@link reduced} value
+ * @property {Function} @@transducer/result - Completes the accumulator once all items have been processed
+ */
+
+/**
+ * A transducer takes a transformer and returns a new transformer that alters the items
+ * that reach it. Transducers compose with regular function composition.
+ * @callback transduce~Transducer
+ * @param {transduce~Transformer} transformer - Transformer to wrap
+ * @returns {transduce~Transformer} - The wrapping transformer
+ */
+
+const reducer_transformer = reducer => ({
+  [init]: () => {
+    throw new Error('init not available for a reducer function, provide an initial value');
+  },
+  [step]: (accumulator, item) => reducer(accumulator, item),
+  [result]: accumulator => accumulator
+});
+
+const transformer_from = reducer =>
+  typeof reducer[step] === 'function' ? reducer : reducer_transformer(reducer);
+
+const fold_params = {
+  xform: callable,
+  reducer: {
+    expected: 'a function or transformer',
+    accepts: value => typeof value === 'function' || (value != null && typeof value[step] === 'function')
+  },
+  initial_value: any_value,
+  target: collection
+};
+
+const optional_mapper = { mapper: optional(callable) };
+
+const into_params = { collection: any_value, xform: callable, target: collection };
+
+const wrap = (transformer, next_step) => ({
+  [init]: () => transformer[init](),
+  [step]: next_step,
+  [result]: accumulator => transformer[result](accumulator)
+});
+
+/**
+ * Composes transducers so that items flow through them from left to right
+ *
+ * @param {...transduce~Transducer} transducers - Transducers to compose
+ * @returns {transduce~Transducer} - The composed transducer
+ *
+ * @example <caption>Double the even numbers</caption>
+ * let xform = compose(filter(val => val % 2 === 0), map(val => val * 2));
+ * let result = into([], xform, [1, 2, 3, 4]);
+ * console.log(result) // [4, 8]
+ *
+ */
+export const compose = (...transducers) => {
+  each(
+    (transducer, position) => check('compose', `transducers[${position}]`, callable, transducer),
+    transducers
+  );
+  return transformer => transducers.reduceRight((next, transducer) => transducer(next), transformer);
+};
+
+/**
+ * Transforms each item that is passed through
+ *
+ * @param {map~Mapper} mapper - Mapper invoked with the item and its index
+ * @returns {transduce~Transducer}
+ *
+ * @example <caption>Double all numbers</caption>
+ * let result = into([], map(val => val * 2), [1, 2, 3]);
+ * console.log(result) // [2, 4, 6]
+ *
+ */
+export const map = validated('map', { mapper: callable }, mapper => transformer => {
+  let index = 0;
+
+  return wrap(transformer, (accumulator, item) => transformer[step](accumulator, mapper(item, index++)));
+});
+
+/**
+ * Only lets items that match the predicate through
+ *
+ * @param {match~Predicate} constraint - Condition used to match the item
+ * @returns {transduce~Transducer}
+ *
+ * @example <caption>Filter for all even numbers</caption>
+ * let result = into([], filter(val => val % 2 === 0), [1, 2, 3, 4]);
+ * console.log(result) // [2, 4]
+ *
+ */
+export const filter = validated('filter', { constraint: callable }, constraint => transformer => {
+  let index = 0;
+
+  return wrap(transformer, (accumulator, item) =>
+    constraint(item, index++) ? transformer[step](accumulator, item) : accumulator
+  );
+});
+
+/**
+ * Transforms each item that is passed through, passing each item of an array result on
+ * individually
+ *
+ * @param {map~Mapper} mapper - Mapper invoked with the item and its index
+ * @returns {transduce~Transducer}
+ *
+ * @example <caption>Gets the numbers with their doubles</caption>
+ * let result = into([], flat_map(val => [val, val * 2]), [1, 2]);
+ * console.log(result) // [1, 2, 2, 4]
+ *
+ */
+export const flat_map = validated('flat_map', { mapper: callable }, mapper => transformer => {
+  let index = 0;
+
+  return wrap(transformer, (accumulator, item) => {
+    const mapped = mapper(item, index++);
+    const items = Array.isArray(mapped) ? mapped : [mapped];
+    let current = accumulator;
+
+    for (let position = 0; position < items.length; position++) {
+      current = transformer[step](current, items[position]);
+      if (is_reduced(current)) return current;
+    }
+    return current;
+  });
+});
+
+/**
+ * Lets at most count items through, then terminates the fold
+ *
+ * @param {Number} count - Maximum number of items to let through
+ * @returns {transduce~Transducer}
+ *
+ * @example <caption>Take the first 2 numbers</caption>
+ * let result = into([], take(2), [1, 2, 3, 4]);
+ * console.log(result) // [1, 2]
+ *
+ */
+export const take = validated('take', { count: integer_or_infinity }, count => transformer => {
+  let remaining = count;
+
+  return wrap(transformer, (accumulator, item) => {
+    if (remaining <= 0) return ensure_reduced(accumulator);
+
+    remaining--;
+    const next = transformer[step](accumulator, item);
+    return remaining === 0 ? ensure_reduced(next) : next;
+  });
+});
+
+/**
+ * Lets items through as long as they match the predicate, and terminates the fold at the
+ * first item that does not
+ *
+ * @param {match~Predicate} condition - Condition used to match the item
+ * @returns {transduce~Transducer}
+ *
+ * @example <caption>Take numbers while they are less than 3</caption>
+ * let result = into([], take_while(val => val < 3), [1, 2, 3, 1]);
+ * console.log(result) // [1, 2]
+ *
+ */
+export const take_while = validated('take_while', { condition: callable }, condition => transformer => {
+  let index = 0;
+
+  return wrap(transformer, (accumulator, item) =>
+    condition(item, index++) ? transformer[step](accumulator, item) : reduced(accumulator)
+  );
+});
+
+/**
+ * Skips the first count items
+ *
+ * @param {Number} count - Number of items to skip
+ * @returns {transduce~Transducer}
+ *
+ * @example <caption>Skip the first 2 numbers</caption>
+ * let result = into([], drop(2), [1, 2, 3, 4]);
+ * console.log(result) // [3, 4]
+ *
+ */
+export const drop = validated('drop', { count: integer_or_infinity }, count => transformer => {
+  let remaining = count;
+
+  return wrap(transformer, (accumulator, item) => {
+    if (remaining > 0) {
+      remaining--;
+      return accumulator;
+    }
+    return transformer[step](accumulator, item);
+  });
+});
+
+/**
+ * Only lets the first occurrence of each item through. If a mapper is provided, the result
+ * of the mapper will become the selector that is used to determine uniqueness.
+ *
+ * @param {map~Mapper} [mapper] - Mapper invoked with the item and its index
+ * @returns {transduce~Transducer}
+ *
+ * @example <caption>Get the people of different ages</caption>
+ * let result = into([], uniq(({age}) => age), people);
+ *
+ */
+export const uniq = validated('uniq', optional_mapper, (mapper = value => value) => transformer => {
+  const seen = new Set();
+  let index = 0;
+
+  return wrap(transformer, (accumulator, item) => {
+    const key = mapper(item, index++);
+    if (seen.has(key)) return accumulator;
+
+    seen.add(key);
+    return transformer[step](accumulator, item);
+  });
+});
+
+/**
+ * Folds a target through a transducer. The reducer can be a regular reducer function or a
+ * transformer from any library that follows the `@@transducer` protocol. The fold stops as soon
+ * as a step returns a {@link reduced} value.
+ *
+ * @param {transduce~Transducer} xform - Transducer applied to each item
+ * @param {reduce~Reducer|transduce~Transformer} reducer - Reducing step
+ * @param {any} initial_value - The initial result of the accumulator
+ * @param {Array|Iterable} target - Items to be folded
+ *
+ * @example <caption>Sum the doubles of the first 3 numbers</caption>
+ * let xform = compose(take(3), map(val => val * 2));
+ * let result = transduce(xform, (sum, val) => sum + val, 0, [1, 2, 3, 4]);
+ * console.log(result) // 12
+ *
+ */
+export const transduce = checked('transduce', fold_params, (xform, reducer, initial_value, target) => {
+  const transformer = xform(transformer_from(reducer));
+  let accumulator = initial_value;
+
+  each_until(item => {
+    accumulator = transformer[step](accumulator, item);
+    return !is_reduced(accumulator);
+  }, target);
+
+  return transformer[result](unreduced(accumulator));
+});
+
+const collectors = [
+  [
+    collection => Array.isArray(collection),
+    collection => [
+      collection.slice(0),
+      (accumulator, item) => {
+        accumulator.push(item);
+        return accumulator;
+      }
+    ]
+  ],
+  [
+    collection => typeof collection === 'string',
+    collection => [collection, (accumulator, item) => accumulator + item]
+  ],
+  [
+    collection => collection instanceof Map,
+    collection => [new Map(collection), (accumulator, [key, value]) => accumulator.set(key, value)]
+  ],
+  [
+    collection => collection instanceof Set,
+    collection => [new Set(collection), (accumulator, item) => accumulator.add(item)]
+  ],
+  [
+    () => true,
+    collection => [
+      Object.assign({}, collection),
+      (accumulator, [key, value]) => {
+        accumulator[key] = value;
+        return accumulator;
+      }
+    ]
+  ]
+];
+
+/**
+ * Transduces a target into a copy of a collection. Arrays, strings, Sets, Maps (from [key, value]
+ * pairs) and plain objects (from [key, value] pairs) are supported. The collection that is passed
+ * in is not modified.
+ *
+ * @param {Array|String|Map|Set|Object} collection - Collection to add the transformed items to
+ * @param {transduce~Transducer} xform - Transducer applied to each item
+ * @param {Array|Iterable} target - Items to be transformed
+ *
+ * @example <caption>Collect the unique even numbers into a set</caption>
+ * let result = into(new Set(), filter(val => val % 2 === 0), [1, 2, 2, 4]);
+ * console.log(result) // Set { 2, 4 }
+ *
+ */
+export const into = checked('into', into_params, (collection, xform, target) => {
+  const [, create] = collectors.find(([applies]) => applies(collection));
+  const [initial_value, reducer] = create(collection);
+
+  return transduce(xform, reducer, initial_value, target);
+});
+
+export { reduced, is_reduced };
+
+export default {
+  compose,
+  map,
+  filter,
+  flat_map,
+  take,
+  take_while,
+  drop,
+  uniq,
+  transduce,
+  into,
+  reduced,
+  is_reduced
+};
@@ -0,0 +1,221 @@
+import sut from './transducers';
+
+describe('transducers', function() {
+  let items;
+  let result;
+
+  const append = (accumulator, item) => accumulator.concat([item]);
+
+  beforeEach(function() {
+    items = [1, 2, 3, 4, 5, 6];
+  });
+
+  describe('transducing with a composed transducer', function() {
+    let mapped;
+
+    beforeEach(function() {
+      mapped = [];
+    });
+
+    beforeEach(function() {
+      result = sut.transduce(
+        sut.compose(
+          sut.filter(value => value % 2 === 0),
+          sut.map(value => {
+            mapped.push(value);
+            return value * 10;
+          }),
+          sut.take(2)
+        ),
+        append,
+        [],
+        items
+      );
+    });
+
+    it('applies the transducers from left to right', function() {
+      expect(result).toEqual([20, 40]);
+    });
+
+    it('stops processing items once the fold has been reduced', function() {
+      expect(mapped).toEqual([2, 4]);
+    });
+  });
+
+  describe('transducing with a reducer that terminates early', function() {
+    let times_called;
+
+    beforeEach(function() {
+      times_called = 0;
+      result = sut.transduce(
+        sut.map(value => value),
+        (sum, value) => {
+          times_called++;
+          return sum + value >= 6 ? sut.reduced(sum + value) : sum + value;
+        },
+        0,
+        items
+      );
+    });
+
+    it('returns the unwrapped reduced value', function() {
+      expect(result).toEqual(6);
+    });
+
+    it('does not process any more items', function() {
+      expect(times_called).toEqual(3);
+    });
+  });
+
+  describe('the individual transducers', function() {
+    const collect = (xform, target) => sut.into([], xform, target);
+
+    it('map provides the index to the mapper', function() {
+      expect(
+        collect(
+          sut.map((value, index) => `${value}-${index}`),
+          ['a', 'b']
+        )
+      ).toEqual(['a-0', 'b-1']);
+    });
+
+    it('filter keeps the items matching the condition', function() {
+      expect(
+        collect(
+          sut.filter(value => value > 4),
+          items
+        )
+      ).toEqual([5, 6]);
+    });
+
+    it('flat_map passes on each item of an array result', function() {
+      const xform = sut.flat_map(value => (value < 3 ? [value, value] : value));
+      expect(collect(xform, [1, 2, 3])).toEqual([1, 1, 2, 2, 3]);
+    });
+
+    it('flat_map stops in the middle of an array result when the fold is reduced', function() {
+      const xform = sut.compose(
+        sut.flat_map(value => [value, value]),
+        sut.take(3)
+      );
+      expect(collect(xform, items)).toEqual([1, 1, 2]);
+    });
+
+    it('take with a count of 0 lets nothing through', function() {
+      expect(collect(sut.take(0), items)).toEqual([]);
+    });
+
+    it('take_while stops at the first item that does not match', function() {
+      expect(
+        collect(
+          sut.take_while(value => value < 3),
+          [1, 2, 3, 1]
+        )
+      ).toEqual([1, 2]);
+    });
+
+    it('drop skips the first items', function() {
+      expect(collect(sut.drop(4), items)).toEqual([5, 6]);
+    });
+
+    it('uniq lets the first occurrence of each item through', function() {
+      expect(collect(sut.uniq(), [1, 1, 2, 1, 3])).toEqual([1, 2, 3]);
+    });
+
+    it('uniq uses the mapper to determine uniqueness', function() {
+      expect(
+        collect(
+          sut.uniq(value => value % 3),
+          items
+        )
+      ).toEqual([1, 2, 3]);
+    });
+
+    it('keeps state per fold', function() {
+      const xform = sut.take(1);
+      expect(collect(xform, items)).toEqual([1]);
+      expect(collect(xform, items)).toEqual([1]);
+    });
+  });
+
+  describe('collecting into', function() {
+    const identity = sut.map(value => value);
+
+    it('an array without modifying it', function() {
+      const original = [0];
+      expect(sut.into(original, identity, [1, 2])).toEqual([0, 1, 2]);
+      expect(original).toEqual([0]);
+    });
+
+    it('a string', function() {
+      expect(sut.into('', identity, 'abc')).toEqual('abc');
+    });
+
+    it('a set', function() {
+      expect(sut.into(new Set(), identity, [1, 1, 2])).toEqual(new Set([1, 2]));
+    });
+
+    it('a map', function() {
+      expect(sut.into(new Map(), identity, [['a', 1]])).toEqual(new Map([['a', 1]]));
+    });
+
+    it('an object', function() {
+      expect(
+        sut.into({}, identity, [
+          ['a', 1],
+          ['b', 2]
+        ])
+      ).toEqual({ a: 1, b: 2 });
+    });
+  });
+
+  describe('interoperating with other transducer libraries', function() {
+    let completed;
+    let external_transformer;
+
+    beforeEach(function() {
+      completed = false;
+      external_transformer = {
+        '@@transducer/init': () => [],
+        '@@transducer/step': append,
+        '@@transducer/result': accumulator => {
+          completed = true;
+          return accumulator;
+        }
+      };
+    });
+
+    beforeEach(function() {
+      result = sut.transduce(sut.take(2), external_transformer, [], items);
+    });
+
+    it('uses the transformer as the reducing step', function() {
+      expect(result).toEqual([1, 2]);
+    });
+
+    it('completes the transformer', function() {
+      expect(completed).toBeTruthy();
+    });
+
+    it('delegates init to the wrapped transformer', function() {
+      const transformer = sut.map(value => value)(external_transformer);
+      expect(transformer['@@transducer/init']()).toEqual([]);
+    });
+
+    it('recognizes reduced values from other libraries', function() {
+      const external_take_one = transformer => ({
+        '@@transducer/init': () => transformer['@@transducer/init'](),
+        '@@transducer/step': (accumulator, item) => ({
+          '@@transducer/reduced': true,
+          '@@transducer/value': transformer['@@transducer/step'](accumulator, item)
+        }),
+        '@@transducer/result': accumulator => transformer['@@transducer/result'](accumulator)
+      });
+      const xform = sut.compose(
+        sut.map(value => value * 2),
+        external_take_one
+      );
+      expect(sut.into([], xform, items)).toEqual([2]);
+    });
+  });
+});
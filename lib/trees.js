@@ -0,0 +1,312 @@
+import { each, filter, map, reduce } from './arrays';
+import { callable, checked, collection } from './validate';
+
+/*
+ * Trees are described by a children function that returns the children of an item, so any
+ * shape of data can be walked. An item is visited each time it appears, so a child shared by
+ * two parents (or an equal value in two branches) is kept under both. A child that refers back
+ * to one of its ancestors on the current path is skipped, so a cycle does not cause an endless
+ * walk. All of them are iterative, so deep trees do not overflow the stack.
+ */
+
+/**
+ * A node of a tree built by {@link build_tree}, {@link map_tree} or {@link filter_tree}
+ * @typedef {Object} tree~Node
+ * @property {any} item - The item at this node
+ * @property {Array<tree~Node>} children - The child nodes
+ */
+
+/**
+ * Returns the children of an item in a tree
+ * @callback tree~Children
+ * @param {any} item - Item to get the children of
+ * @param {Number} depth - Depth of the item, roots are at a depth of 0
+ * @param {any} parent - Parent of the item, undefined for the roots
+ * @returns {Array|Iterable} - The children of the item, null or undefined when there are none
+ */
+
+/**
+ * A visitor processes each item in a tree. A return value of false to the caller will cause
+ * the walk to stop.
+ * @callback tree~Visitor
+ * @param {any} item - Item that is currently being processed
+ * @param {Number} depth - Depth of the item, roots are at a depth of 0
+ * @param {any} parent - Parent of the item, undefined for the roots
+ * @returns {undefined|Boolean} - Returning a value of false will cause the walk to stop
+ */
+
+const tree_params = { children_fn: callable, roots: collection };
+const walk_params = { children_fn: callable, visitor: callable, roots: collection };
+const build_params = { id_fn: callable, parent_id_fn: callable, target: collection };
+
+const list_of = items => (items == null ? [] : Array.from(items));
+
+const children_of = (children_fn, item, depth, parent) => list_of(children_fn(item, depth, parent));
+
+const same_item = (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b));
+
+const is_on_path = (item, path) => {
+  for (let step = path; step !== undefined; step = step.parent) {
+    if (same_item(step.item, item)) return true;
+  }
+  return false;
+};
+
+/**
+ * Visit each item in a tree depth first, visiting an item before its children
+ * ({@link https://en.wikipedia.org/wiki/Tree_traversal#Pre-order,_NLR pre-order}).
+ *
+ * @param {tree~Children} children_fn - Returns the children of an item
+ * @param {tree~Visitor} visitor - Function to invoke against each item
+ * @param {Array|Iterable} roots - Items at the top of the tree
+ *
+ * @example <caption>Log each menu item, stopping at the first one that is disabled</caption>
+ * walk_depth_first(({items}) => items, (menu, depth) => {
+ *   console.log(`${' '.repeat(depth)}${menu.title}`);
+ *   return menu.enabled;
+ * }, menus);
+ *
+ */
+export const walk_depth_first = checked('walk_depth_first', walk_params, (children_fn, visitor, roots) => {
+  const ancestors = new Set();
+  const pending = [{ items: list_of(roots), position: 0, depth: 0, parent: undefined }];
+
+  while (pending.length > 0) {
+    const siblings = pending[pending.length - 1];
+
+    if (siblings.position >= siblings.items.length) {
+      pending.pop();
+      if (siblings.depth > 0) ancestors.delete(siblings.parent);
+    } else {
+      const item = siblings.items[siblings.position++];
+
+      if (!ancestors.has(item)) {
+        if (visitor(item, siblings.depth, siblings.parent) === false) return;
+
+        ancestors.add(item);
+
+        pending.push({
+          items: children_of(children_fn, item, siblings.depth, siblings.parent),
+          position: 0,
+          depth: siblings.depth + 1,
+          parent: item
+        });
+      }
+    }
+  }
+});
+
+/**
+ * Visit each item in a tree breadth first, visiting all of the items at one depth before
+ * the items at the next depth.
+ *
+ * @param {tree~Children} children_fn - Returns the children of an item
+ * @param {tree~Visitor} visitor - Function to invoke against each item
+ * @param {Array|Iterable} roots - Items at the top of the tree
+ *
+ * @example <caption>Find the shallowest employee with a title</caption>
+ * let found;
+ * walk_breadth_first(({reports}) => reports, employee => {
+ *   if (employee.title === 'Architect') found = employee;
+ *   return found === undefined;
+ * }, [ceo]);
+ *
+ */
+export const walk_breadth_first = checked(
+  'walk_breadth_first',
+  walk_params,
+  (children_fn, visitor, roots) => {
+    const queue = [];
+    const enqueue = (depth, parent, path) => item => {
+      if (!is_on_path(item, path)) queue.push({ item, depth, parent, path: { item, parent: path } });
+    };
+
+    each(enqueue(0, undefined, undefined), list_of(roots));
+    for (let head = 0; head < queue.length; head++) {
+      const { item, depth, parent, path } = queue[head];
+
+      if (visitor(item, depth, parent) === false) return;
+      each(enqueue(depth + 1, item, path), children_of(children_fn, item, depth, parent));
+    }
+  }
+);
+
+/**
+ * Flatten a tree into an array, depth first with each item before its children.
+ *
+ * @param {tree~Children} children_fn - Returns the children of an item
+ * @param {Array|Iterable} roots - Items at the top of the tree
+ * @returns {Array<Object>} - An entry with the item, its depth and its parent for each item
+ *
+ * @example <caption>Flatten an org chart</caption>
+ * let result = flatten_tree(({reports}) => reports, [ceo]);
+ * console.log(result) // [{ item: ceo, depth: 0, parent: undefined }, { item: cto, depth: 1, ... }, ...]
+ *
+ */
+export const flatten_tree = checked('flatten_tree', tree_params, (children_fn, roots) => {
+  const results = [];
+
+  walk_depth_first(
+    children_fn,
+    (item, depth, parent) => {
+      results.push({ item, depth, parent });
+    },
+    roots
+  );
+  return results;
+});
+
+const excluded = {};
+
+const fold_tree = (children_fn, combine, roots) => {
+  const ancestors = new Set();
+  const top = { items: list_of(roots), position: 0, depth: 0, parent: undefined, results: [] };
+  const pending = [top];
+
+  while (pending.length > 0) {
+    const siblings = pending[pending.length - 1];
+
+    if (siblings.position < siblings.items.length) {
+      const item = siblings.items[siblings.position++];
+
+      if (!ancestors.has(item)) {
+        ancestors.add(item);
+        pending.push({
+          items: children_of(children_fn, item, siblings.depth, siblings.parent),
+          position: 0,
+          depth: siblings.depth + 1,
+          parent: item,
+          results: [],
+          owner: siblings
+        });
+      }
+    } else {
+      pending.pop();
+
+      if (siblings.owner !== undefined) {
+        const { owner } = siblings;
+        ancestors.delete(siblings.parent);
+        const node = combine(siblings.parent, siblings.results, owner.depth, owner.parent);
+        if (node !== excluded) owner.results.push(node);
+      }
+    }
+  }
+  return top.results;
+};
+
+/**
+ * Map each item in a tree, keeping the structure of the tree.
+ *
+ * @param {tree~Children} children_fn - Returns the children of an item
+ * @param {Function} mapper - Invoked with the item, its depth and its parent, returns the item of
+ * the new node
+ * @param {Array|Iterable} roots - Items at the top of the tree
+ * @returns {Array<tree~Node>} - The nodes at the top of the new tree
+ *
+ * @example <caption>Get the titles of a menu</caption>
+ * let result = map_tree(({items}) => items, ({title}) => title, menus);
+ * console.log(result) // [{ item: 'File', children: [{ item: 'Open', children: [] }] }]
+ *
+ */
+export const map_tree = checked(
+  'map_tree',
+  { children_fn: callable, mapper: callable, roots: collection },
+  (children_fn, mapper, roots) =>
+    fold_tree(
+      children_fn,
+      (item, children, depth, parent) => ({ item: mapper(item, depth, parent), children }),
+      roots
+    )
+);
+
+/**
+ * Filter the items in a tree, keeping the structure of the tree. An item is kept when it
+ * matches the predicate, or when any of its descendants are kept, so the path to each
+ * matching item is preserved.
+ *
+ * @param {tree~Children} children_fn - Returns the children of an item
+ * @param {Function} condition - Invoked with the item, its depth and its parent
+ * @param {Array|Iterable} roots - Items at the top of the tree
+ * @returns {Array<tree~Node>} - The nodes at the top of the new tree
+ *
+ * @example <caption>Get the files matching a search, along with the folders they are in</caption>
+ * let result = filter_tree(({files}) => files, ({name}) => name.includes('report'), [root_folder]);
+ *
+ */
+export const filter_tree = checked(
+  'filter_tree',
+  { children_fn: callable, condition: callable, roots: collection },
+  (children_fn, condition, roots) =>
+    fold_tree(
+      children_fn,
+      (item, children, depth, parent) =>
+        children.length > 0 || condition(item, depth, parent) ? { item, children } : excluded,
+      roots
+    )
+);
+
+/**
+ * Build a tree from items that refer to their parent by id. Items without a parent id, or
+ * whose parent is not in the array, become roots. Children are in the order of the array.
+ * Ids must be unique, and an error is thrown when the parents of some items form a cycle,
+ * as those items can not be reached from any root.
+ *
+ * @param {map~Mapper} id_fn - Mapper used to produce the id of each item
+ * @param {map~Mapper} parent_id_fn - Mapper used to produce the id of the parent of each item
+ * @param {Array|Iterable} target - Array containing the items of the tree
+ * @returns {Array<tree~Node>} - The nodes at the top of the tree
+ *
+ * @example <caption>Build an org chart</caption>
+ * let employees = [{ id: 1 }, { id: 2, manager: 1 }, { id: 3, manager: 1 }];
+ * let result = build_tree(({id}) => id, ({manager}) => manager, employees);
+ * console.log(result) // [{ item: { id: 1 }, children: [{ item: { id: 2, ... }, children: [] }, ...] }]
+ *
+ */
+export const build_tree = checked('build_tree', build_params, (id_fn, parent_id_fn, target) => {
+  const entries = map(
+    (item, ...args) => ({
+      id: id_fn(item, ...args),
+      parent_id: parent_id_fn(item, ...args),
+      node: { item, children: [] }
+    }),
+    target
+  );
+  const nodes_by_id = reduce(
+    new Map(),
+    (nodes, { id, node }) => {
+      if (nodes.has(id)) throw new Error(`build_tree requires unique ids, found duplicate id: ${id}`);
+      return nodes.set(id, node);
+    },
+    entries
+  );
+
+  const roots = reduce(
+    [],
+    (results, { parent_id, node }) => {
+      const parent = parent_id == null ? undefined : nodes_by_id.get(parent_id);
+
+      if (parent === undefined) results.push(node);
+      else parent.children.push(node);
+      return results;
+    },
+    entries
+  );
+
+  const reached = flatten_tree(node => node.children, roots);
+  const reachable = new Set(map(({ item }) => item, reached));
+  const unreachable = filter(({ node }) => !reachable.has(node), entries);
+  const unreachable_ids = map(({ id }) => id, unreachable);
+  if (unreachable_ids.length > 0)
+    throw new Error(`build_tree found a cycle between the parents of ids: ${unreachable_ids.join(', ')}`);
+
+  return roots;
+});
+
+export default {
+  build_tree,
+  flatten_tree,
+  walk_depth_first,
+  walk_breadth_first,
+  map_tree,
+  filter_tree
+};
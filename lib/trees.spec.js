@@ -0,0 +1,263 @@
+import sut from './trees';
+
+describe('trees', function() {
+  const children = ({ children }) => children;
+  const name = ({ name }) => name;
+  let menus;
+  let visited;
+
+  beforeEach(function() {
+    menus = [
+      {
+        name: 'file',
+        children: [{ name: 'open', children: [{ name: 'recent' }] }, { name: 'save' }]
+      },
+      { name: 'edit', children: [{ name: 'copy' }] }
+    ];
+    visited = [];
+  });
+
+  describe('walking depth first', function() {
+    it('visits each item before its children', function() {
+      sut.walk_depth_first(
+        children,
+        (item, depth, parent) => {
+          visited.push([item.name, depth, parent && parent.name]);
+        },
+        menus
+      );
+
+      expect(visited).toEqual([
+        ['file', 0, undefined],
+        ['open', 1, 'file'],
+        ['recent', 2, 'open'],
+        ['save', 1, 'file'],
+        ['edit', 0, undefined],
+        ['copy', 1, 'edit']
+      ]);
+    });
+
+    it('stops when the visitor returns false', function() {
+      sut.walk_depth_first(
+        children,
+        item => {
+          visited.push(item.name);
+          return item.name !== 'recent';
+        },
+        menus
+      );
+
+      expect(visited).toEqual(['file', 'open', 'recent']);
+    });
+  });
+
+  describe('walking breadth first', function() {
+    it('visits all the items at one depth before the next depth', function() {
+      sut.walk_breadth_first(
+        children,
+        (item, depth) => {
+          visited.push([item.name, depth]);
+        },
+        menus
+      );
+
+      expect(visited).toEqual([
+        ['file', 0],
+        ['edit', 0],
+        ['open', 1],
+        ['save', 1],
+        ['copy', 1],
+        ['recent', 2]
+      ]);
+    });
+
+    it('stops when the visitor returns false', function() {
+      sut.walk_breadth_first(
+        children,
+        item => {
+          visited.push(item.name);
+          return item.name !== 'open';
+        },
+        menus
+      );
+
+      expect(visited).toEqual(['file', 'edit', 'open']);
+    });
+  });
+
+  describe('working with cycles', function() {
+    let parent;
+
+    beforeEach(function() {
+      const child = { name: 'child', children: [] };
+      parent = { name: 'parent', children: [child] };
+      child.children.push(parent, child);
+    });
+
+    it('does not follow an item back to its ancestors', function() {
+      sut.walk_depth_first(children, item => visited.push(item.name), [parent]);
+      sut.walk_breadth_first(children, item => visited.push(item.name), [parent]);
+
+      expect(visited).toEqual(['parent', 'child', 'parent', 'child']);
+    });
+
+    it('maps each item once on each path', function() {
+      expect(sut.map_tree(children, name, [parent])).toEqual([
+        { item: 'parent', children: [{ item: 'child', children: [] }] }
+      ]);
+    });
+  });
+
+  describe('working with items that appear more than once', function() {
+    let shared;
+    let folders;
+
+    beforeEach(function() {
+      shared = { name: 'shared' };
+      folders = [
+        { name: 'a', children: [shared, 'x'] },
+        { name: 'b', children: [shared, 'x'] }
+      ];
+    });
+
+    it('keeps a child that is shared by two parents under both', function() {
+      const result = sut.map_tree(children, item => item.name || item, folders);
+
+      expect(result).toEqual([
+        {
+          item: 'a',
+          children: [
+            { item: 'shared', children: [] },
+            { item: 'x', children: [] }
+          ]
+        },
+        {
+          item: 'b',
+          children: [
+            { item: 'shared', children: [] },
+            { item: 'x', children: [] }
+          ]
+        }
+      ]);
+    });
+
+    it('visits repeated primitive children in each branch', function() {
+      sut.walk_depth_first(children, (item, depth) => visited.push([item.name || item, depth]), folders);
+      sut.walk_breadth_first(children, (item, depth) => visited.push([item.name || item, depth]), folders);
+
+      expect(visited).toEqual([
+        ['a', 0],
+        ['shared', 1],
+        ['x', 1],
+        ['b', 0],
+        ['shared', 1],
+        ['x', 1],
+        ['a', 0],
+        ['b', 0],
+        ['shared', 1],
+        ['x', 1],
+        ['shared', 1],
+        ['x', 1]
+      ]);
+    });
+
+    it('flattens and filters a shared child under each parent', function() {
+      const flattened = sut.flatten_tree(children, folders);
+      const filtered = sut.filter_tree(children, item => item === 'x', folders);
+
+      expect(flattened.filter(({ item }) => item === shared).map(({ parent }) => parent.name)).toEqual([
+        'a',
+        'b'
+      ]);
+      const kept = filtered.map(({ item, children }) => [item.name, children.map(child => child.item)]);
+
+      expect(kept).toEqual([
+        ['a', ['x']],
+        ['b', ['x']]
+      ]);
+    });
+  });
+
+  it('flattens a tree with the depth and parent of each item', function() {
+    const result = sut.flatten_tree(children, [menus[1]]);
+
+    expect(result).toEqual([
+      { item: menus[1], depth: 0, parent: undefined },
+      { item: menus[1].children[0], depth: 1, parent: menus[1] }
+    ]);
+  });
+
+  it('flattens a deep tree without overflowing the stack', function() {
+    const root = { children: [] };
+    let current = root;
+    for (let depth = 0; depth < 100000; depth++) {
+      const child = { children: [] };
+      current.children.push(child);
+      current = child;
+    }
+
+    expect(sut.flatten_tree(children, [root]).length).toEqual(100001);
+  });
+
+  it('maps each item keeping the structure', function() {
+    const result = sut.map_tree(children, (item, depth) => `${item.name}-${depth}`, [menus[0]]);
+
+    expect(result).toEqual([
+      {
+        item: 'file-0',
+        children: [
+          { item: 'open-1', children: [{ item: 'recent-2', children: [] }] },
+          { item: 'save-1', children: [] }
+        ]
+      }
+    ]);
+  });
+
+  it('filters the items, keeping the path to each match', function() {
+    const result = sut.filter_tree(children, item => item.name.startsWith('re'), menus);
+
+    expect(sut.map_tree(children, ({ item }) => item.name, result)).toEqual([
+      {
+        item: 'file',
+        children: [{ item: 'open', children: [{ item: 'recent', children: [] }] }]
+      }
+    ]);
+  });
+
+  describe('building a tree from parent ids', function() {
+    const id = ({ id }) => id;
+    const manager = ({ manager }) => manager;
+
+    it('places each item under its parent, in the order of the array', function() {
+      const employees = [{ id: 2, manager: 1 }, { id: 1 }, { id: 3, manager: 1 }, { id: 4, manager: 2 }];
+      const result = sut.map_tree(children, ({ item }) => item.id, sut.build_tree(id, manager, employees));
+
+      expect(result).toEqual([
+        {
+          item: 1,
+          children: [
+            { item: 2, children: [{ item: 4, children: [] }] },
+            { item: 3, children: [] }
+          ]
+        }
+      ]);
+    });
+
+    it('makes the items with an unknown parent roots', function() {
+      const result = sut.build_tree(id, manager, [
+        { id: 1, manager: 9 },
+        { id: 2, manager: null }
+      ]);
+      expect(result.map(({ item }) => item.id)).toEqual([1, 2]);
+    });
+
+    it('throws when ids are not unique', function() {
+      expect(() => sut.build_tree(id, manager, [{ id: 1 }, { id: 1 }])).toThrow(/duplicate id: 1/);
+    });
+
+    it('throws when the parents form a cycle', function() {
+      const employees = [{ id: 1 }, { id: 2, manager: 3 }, { id: 3, manager: 2 }];
+      expect(() => sut.build_tree(id, manager, employees)).toThrow(/parents of ids: 2, 3/);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+import curry from '@developwithpassion/curry_js';
+import { setting } from './config';
+
+/**
+ * A kind of argument that is checked when the strict setting is turned on
+ * @typedef {Object} validate~Kind
+ * @property {String} expected - Description of the values that are accepted, used in errors
+ * @property {Function} accepts - Determine if a value is accepted
+ * @property {validate~Kind} [items] - Kind of each item, for arrays whose items are checked too
+ */
+
+const kind = (expected, accepts, callback = false) => ({ expected, accepts, callback });
+
+/**
+ * Accepts any value, for arguments that are only checked to keep their position
+ */
+export const any_value = kind('any value', () => true);
+
+/**
+ * Accepts functions, for predicates, mappers, comparers and visitors
+ */
+export const callable = kind('a function', value => typeof value === 'function', true);
+
+/**
+ * Accepts iterables (arrays, strings, Sets, Maps, generators) and array-like objects
+ */
+export const collection = kind(
+  'an array or iterable',
+  value =>
+    value != null &&
+    typeof value !== 'function' &&
+    (typeof value[Symbol.iterator] === 'function' || typeof value.length === 'number')
+);
+
+const is_async_iterable = value => value != null && typeof value[Symbol.asyncIterator] === 'function';
+
+/**
+ * Accepts async iterables, as well as everything {@link collection} accepts
+ */
+export const async_collection = kind(
+  'an array, iterable or async iterable',
+  value => collection.accepts(value) || is_async_iterable(value)
+);
+
+/**
+ * Accepts objects other than null, for specs and options
+ */
+export const object = kind('an object', value => value != null && typeof value === 'object');
+
+/**
+ * Accepts objects created with an object literal or Object.create(null), for specs whose own
+ * properties are read, so arrays and class instances are turned away
+ */
+export const plain_object = kind('a plain object', value => {
+  if (!object.accepts(value)) return false;
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+});
+
+/**
+ * Accepts numbers, for amounts and percentages
+ */
+export const number = kind('a number', value => typeof value === 'number');
+
+/**
+ * Accepts integers, for indexes and sizes
+ */
+export const integer = kind('an integer', value => Number.isInteger(value));
+
+/**
+ * Accepts integers and Infinity, for counts and depths that may be unlimited
+ */
+export const integer_or_infinity = kind(
+  'an integer or Infinity',
+  value => Number.isInteger(value) || value === Infinity
+);
+
+/**
+ * Accepts arrays, and checks each of their items, for lists of comparers and the like
+ *
+ * @param {validate~Kind} item_kind - Kind of value accepted for each item
+ * @returns {validate~Kind}
+ */
+export const array_of = item_kind => Object.assign(kind('an array', Array.isArray), { items: item_kind });
+
+/**
+ * Accepts undefined, as well as everything the kind accepts, for optional parameters
+ *
+ * @param {validate~Kind} expected_kind - Kind of value accepted when the argument is provided
+ * @returns {validate~Kind}
+ */
+export const optional = expected_kind =>
+  kind(
+    `${expected_kind.expected} or undefined`,
+    value => value === undefined || expected_kind.accepts(value),
+    expected_kind.callback
+  );
+
+const describe = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'number' || typeof value === 'boolean') return `${typeof value} ${value}`;
+  return typeof value;
+};
+
+let calls_in_progress = 0;
+
+/**
+ * Run a callback provided by the caller as if it was called from outside the library, so the
+ * arguments of any function it calls are checked
+ */
+const as_outside_call = callback =>
+  function(...args) {
+    const calls_around = calls_in_progress;
+
+    calls_in_progress = 0;
+    try {
+      return callback.apply(this, args);
+    } finally {
+      calls_in_progress = calls_around;
+    }
+  };
+
+/**
+ * Check a single argument when the strict setting is turned on. Only arguments passed from
+ * outside the library are checked, so that an error names the function that was called, rather
+ * than one the library called on its behalf.
+ *
+ * @param {String} name - Name of the function the argument was passed to
+ * @param {String} param - Name of the parameter
+ * @param {validate~Kind} expected_kind - Kind of value the parameter accepts
+ * @param {any} value - The argument
+ * @throws {TypeError} When the strict setting is on and the argument is not accepted
+ */
+export const check = (name, param, expected_kind, value) => {
+  if (!setting('strict') || calls_in_progress > 0) return;
+
+  if (!expected_kind.accepts(value))
+    throw new TypeError(
+      `${name} expects ${param} to be ${expected_kind.expected}, received ${describe(value)}`
+    );
+  if (expected_kind.items)
+    value.forEach((item, position) => check(name, `${param}[${position}]`, expected_kind.items, item));
+};
+
+const check_all = (name, checks, args) => {
+  checks.forEach(([param, expected_kind], position) => {
+    check(name, param, expected_kind, args[position]);
+  });
+
+  return args.map((value, position) =>
+    position < checks.length && checks[position][1].callback && typeof value === 'function'
+      ? as_outside_call(value)
+      : value
+  );
+};
+
+/**
+ * Wrap a function so that its arguments are checked when the strict setting is turned on. The
+ * parameters are listed in order, and any arguments after them are passed through unchecked.
+ * The wrapper has one declared parameter for each of the listed parameters. Calls that the
+ * library makes while the function runs are not checked, apart from calls made by the
+ * callbacks it was given.
+ *
+ * @param {String} name - Name of the function, used in errors
+ * @param {Object<String, validate~Kind>} params - Kind of value each parameter accepts
+ * @param {Function} fn - Function to wrap
+ * @returns {Function} - The wrapped function
+ */
+export const validated = (name, params, fn) => {
+  const checks = Object.entries(params);
+  const wrapped = (...args) => {
+    if (!setting('strict')) return fn(...args);
+
+    const received = calls_in_progress > 0 ? args : check_all(name, checks, args);
+
+    calls_in_progress++;
+    try {
+      return fn(...received);
+    } finally {
+      calls_in_progress--;
+    }
+  };
+
+  Object.defineProperty(wrapped, 'length', { value: checks.length });
+  return wrapped;
+};
+
+/**
+ * Same as {@link validated}, but the wrapped function is curried
+ *
+ * @param {String} name - Name of the function, used in errors
+ * @param {Object<String, validate~Kind>} params - Kind of value each parameter accepts
+ * @param {Function} fn - Function to wrap
+ * @returns {Function} - The wrapped, curried function
+ */
+export const checked = (name, params, fn) => curry(validated(name, params, fn));
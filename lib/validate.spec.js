@@ -0,0 +1,94 @@
+import { configure } from './config';
+import {
+  any_value,
+  array_of,
+  async_collection,
+  callable,
+  checked,
+  collection,
+  integer,
+  integer_or_infinity,
+  number,
+  object,
+  optional,
+  plain_object,
+  validated
+} from './validate';
+
+describe('validating arguments', function() {
+  const add = (first, second) => first + second;
+  let checked_add;
+
+  beforeEach(function() {
+    checked_add = validated('add', { first: integer, second: integer }, add);
+  });
+
+  afterEach(function() {
+    configure({ strict: false });
+  });
+
+  describe('kinds of arguments', function() {
+    it('accepts the values of each kind', function() {
+      expect(any_value.accepts(undefined)).toBeTruthy();
+      expect(callable.accepts(add)).toBeTruthy();
+      expect([[], 'abc', new Set(), { length: 0 }].every(collection.accepts)).toBeTruthy();
+      expect(async_collection.accepts({ [Symbol.asyncIterator]: () => {} })).toBeTruthy();
+      expect(number.accepts(0.5)).toBeTruthy();
+      expect(integer.accepts(-3)).toBeTruthy();
+      expect(integer_or_infinity.accepts(Infinity)).toBeTruthy();
+      expect(object.accepts({})).toBeTruthy();
+      expect(plain_object.accepts({})).toBeTruthy();
+      expect(optional(callable).accepts(undefined)).toBeTruthy();
+      expect(array_of(callable).accepts([])).toBeTruthy();
+    });
+
+    it('rejects values that are not of the kind', function() {
+      expect(callable.accepts([])).toBeFalsy();
+      expect([null, undefined, 42, add, {}].some(collection.accepts)).toBeFalsy();
+      expect(integer.accepts(1.5)).toBeFalsy();
+      expect(integer_or_infinity.accepts(-Infinity)).toBeFalsy();
+      expect(object.accepts(null)).toBeFalsy();
+      expect([[], new Map(), null].some(plain_object.accepts)).toBeFalsy();
+      expect(optional(callable).accepts(null)).toBeFalsy();
+    });
+  });
+
+  it('does not check arguments unless the strict setting is turned on', function() {
+    expect(checked_add('1', 2)).toEqual('12');
+  });
+
+  it('throws a type error naming the function and the parameter in strict mode', function() {
+    configure({ strict: true });
+
+    expect(checked_add(1, 2)).toEqual(3);
+    expect(() => checked_add(1, null)).toThrow(TypeError);
+    expect(() => checked_add(1, null)).toThrow('add expects second to be an integer, received null');
+    expect(() => checked_add(1, 2.5)).toThrow('received number 2.5');
+  });
+
+  it('only checks the arguments of calls made from outside of checked functions', function() {
+    const add_all = validated('add_all', { values: any_value }, values => values.reduce(checked_add));
+    const apply = validated('apply', { fn: callable, value: any_value }, (fn, value) => fn(value));
+    configure({ strict: true });
+
+    expect(add_all([1, '2', 3])).toEqual('123');
+    expect(() => apply(value => checked_add(value, null), 1)).toThrow('add expects second');
+  });
+
+  it('names the position of an item that is not of the kind', function() {
+    const add_all = validated('add_all', { values: array_of(integer) }, values => values.reduce(add));
+    configure({ strict: true });
+
+    expect(add_all([1, 2])).toEqual(3);
+    expect(() => add_all([1, 2.5])).toThrow(
+      'add_all expects values[1] to be an integer, received number 2.5'
+    );
+  });
+
+  it('declares a parameter for each checked parameter, so it can be curried', function() {
+    const curried_add = checked('add', { first: integer, second: integer }, add);
+
+    expect(checked_add.length).toEqual(2);
+    expect(curried_add(1)(2)).toEqual(3);
+  });
+});